@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// converts saved simcluster activity pages into the { receipts } json the
+// dashboard's "paste receipt data" accepts. bounties aren't written separately:
+// the dashboard queues the bounty receipts it hasn't seen for tagging
+//
+//   npm run convert -- page1.html page2.html -o receipts.json
+//
+// --rules takes a json rules table (see DEFAULT_RULES) in place of the defaults.
+// each page's dates get their year from when the file was saved (its mtime)
+import { readFile, writeFile, stat } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { parseHTML } from 'linkedom';
+import { parseActivityRows, classifyReceipt, validateRules, DEFAULT_RULES } from '../src/activity.js';
+import { stampReceipts } from '../src/analytics.js';
+import { mergeReceipts } from '../src/receipts.js';
+
+const usage = 'usage: activity-to-json <page.html>... [-o out.json] [--rules rules.json] [--pretty]';
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      rules: { type: 'string' },
+      pretty: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+} catch (e) {
+  fail(`${e.message}\n${usage}`);
+}
+const { values, positionals } = args;
+
+if (values.help || positionals.length === 0) {
+  console.error(usage);
+  process.exit(values.help ? 0 : 1);
+}
+
+let rules = DEFAULT_RULES;
+if (values.rules) {
+  try {
+    rules = JSON.parse(await readFile(values.rules, 'utf8'));
+  } catch (e) {
+    fail(`${values.rules}: ${e.message}`);
+  }
+  if (!Array.isArray(rules)) fail(`${values.rules}: expected a json array of rules`);
+}
+const ruleErrors = Object.entries(validateRules(rules));
+if (ruleErrors.length > 0) {
+  ruleErrors.forEach(([i, error]) => console.error(`${values.rules}: rule ${i}: ${error}`));
+  process.exit(1);
+}
+
+// each page is merged into the ones before it in argument order, so rows that
+// overlapping saves share come out once
+let data = { receipts: [] };
+for (const path of positionals) {
+  let html;
+  let mtime;
+  try {
+    html = await readFile(path, 'utf8');
+    ({ mtime } = await stat(path));
+  } catch (e) {
+    fail(`${path}: ${e.message}`);
+  }
+  const { document } = parseHTML(html);
+  const page = parseActivityRows(document, content => classifyReceipt(content, rules));
+  if (page.receipts.length === 0) {
+    console.error(`${path}: no activity rows found`);
+  }
+  data = { receipts: mergeReceipts(data.receipts, stampReceipts(page.receipts, mtime)).receipts };
+}
+
+const json = JSON.stringify(data, null, values.pretty ? 2 : undefined);
+if (values.output) {
+  await writeFile(values.output, json + '\n');
+  console.error(`wrote ${data.receipts.length} receipts to ${values.output}`);
+} else {
+  process.stdout.write(json + '\n');
+}
@@ -1,5 +1,5 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
-import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell, Legend } from 'recharts';
+import React, { useState, useEffect, useMemo, useRef, createContext, useContext } from 'react';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell, Legend, ReferenceArea, ReferenceLine, Brush } from 'recharts';
 import { 
   createUserWithEmailAndPassword, 
   signInWithEmailAndPassword, 
@@ -20,6 +20,11 @@ import {
   limit as firestoreLimit
 } from 'firebase/firestore';
 import { auth, db } from './firebase';
+import * as analytics from './analytics';
+import { parseActivityRows, classifyReceipt, reclassifyReceipts, validateRules, buildBookmarklet, DEFAULT_RULES } from './activity';
+import { recognizeScreenshots, ocrRowsToData } from './ocr';
+import { stampBounties, withoutBounty, withBountiesTagged, withBountyMoved, withBountyUntagged } from './bounties';
+import { receiptFingerprint, assignReceiptIds, buryReceipt, mergeReceipts, diffReceipts, searchReceipts, sortReceipts } from './receipts';
 
 const COLORS = [
   '#10b981', '#3b82f6', '#8b5cf6', '#f59e0b', '#ef4444', 
@@ -28,6 +33,273 @@ const COLORS = [
   '#8b5cf6', '#22c55e', '#fb923c', '#818cf8', '#34d399'
 ];
 
+// normalize date to just the day part for firestore path (but keep full timestamp in receipt)
+// "Oct 18 1:15 PM" -> "Oct 18"
+const normalizeDateToDay = (dateStr) => {
+  const match = dateStr.match(/^([A-Za-z]+\s+\d+)/);
+  return match ? match[1] : dateStr;
+};
+
+// "Oct 18 1:15 PM" -> "Oct_18", the receipts_by_date document a receipt lives in
+const dateDocId = (dateStr) => normalizeDateToDay(dateStr).replace(/[^a-zA-Z0-9]/g, '_');
+
+const TIME_FILTERS = [
+  { key: 'all', label: 'all time' },
+  { key: '24h', label: 'last 24h' },
+  { key: '7d', label: 'last 7d' },
+  { key: '30d', label: 'last 30d' },
+  { key: 'month', label: 'this month' },
+  { key: 'custom', label: 'custom' }
+];
+
+const BOUNTY_WINDOW_HOURS = [6, 12, 24, 48, 72];
+
+const ATTRIBUTION_LABELS = {
+  raw: 'everything in window',
+  incremental: 'over baseline',
+  split: 'split overlaps'
+};
+
+// 13 -> "1 PM"
+const formatHour = (hour) => `${hour % 12 || 12} ${hour < 12 ? 'AM' : 'PM'}`;
+
+const formatBracket = ({ min, max }) => max === Infinity ? `${min}¢+` : `${min}-${max}¢`;
+
+const CHART_TOOLTIP_STYLE = { backgroundColor: '#1f2937', border: '1px solid #374151' };
+
+// timeline tick for an hour, day or week bucket
+const formatBucket = (time, bucket) => bucket === 'hour'
+  ? new Date(time).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric' })
+  : new Date(time).toLocaleDateString([], { month: 'short', day: 'numeric' });
+
+// "3h ago", "2d ago"
+const formatAgo = (time, now) => {
+  if (!time) return 'never';
+  const hours = Math.floor((now - time) / (60 * 60 * 1000));
+  if (hours < 1) return 'just now';
+  return hours < 24 ? `${hours}h ago` : `${Math.floor(hours / 24)}d ago`;
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const HEATMAP_METRICS = [
+  { key: 'perEvent', label: 'per like/tip' },
+  { key: 'perDay', label: 'per active day' }
+];
+
+const LEDGER_BUCKETS = ['day', 'week'];
+const INCOME_COLORS = ['#10b981', '#22c55e', '#84cc16', '#14b8a6', '#06b6d4', '#3b82f6', '#a3e635'];
+const SPENDING_COLORS = ['#ef4444', '#f97316', '#f59e0b', '#ec4899', '#f43f5e'];
+
+const DAILY_LABELS = {
+  daily_signin: 'daily sign-in',
+  daily_bounty: 'daily concept bounty'
+};
+
+// one line for a detectAnomalies finding
+const describeAnomaly = ({ kind, subject, count, hours, factor, time }) => {
+  const when = `${hours > 1 ? `${hours}h from ` : ''}${time.toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric' })}`;
+  const rate = factor === null ? '' : ` - ${factor.toFixed(1)}× normal`;
+  if (kind === 'concept_surge') return `💡 ${subject} used ${count} times (${when})${rate}`;
+  if (kind === 'like_spike') return `❤️ ${count} likes (${when})${rate}`;
+  return `💸 ${subject} sent ${count} tips (${when})${factor === null ? ' - a first for them' : rate}`;
+};
+
+const RELATIONSHIP_FILTERS = [
+  { key: 'all', label: 'everyone' },
+  { key: 'unreturned', label: 'never tipped back' },
+  { key: 'unreciprocated', label: 'never tip us' }
+];
+
+// change against the previous period: "▲ +12¢ (+15%) vs 80¢"
+function Delta({ comparison, unit = '', decimals = 0 }) {
+  if (!comparison) return null;
+
+  const { previous, delta, percent } = comparison;
+  const signed = (n) => `${n > 0 ? '+' : ''}${n.toFixed(decimals)}`;
+  const color = delta > 0 ? 'text-green-400' : delta < 0 ? 'text-red-400' : 'text-gray-500';
+
+  return (
+    <span className={`text-xs ${color}`}>
+      {delta > 0 ? '▲' : delta < 0 ? '▼' : '='} {signed(delta)}{unit}
+      {percent !== null && ` (${signed(percent)}%)`}
+      <span className="text-gray-500"> vs {previous.toFixed(decimals)}{unit}</span>
+    </span>
+  );
+}
+
+const RECEIPT_ROW_HEIGHT = 44;
+const RECEIPT_TABLE_HEIGHT = 600;
+const RECEIPT_COLUMNS = 'grid-cols-[8rem_10rem_8rem_9rem_4rem_1fr_7rem]';
+
+// searchable receipts table. only the rows scrolled into view are rendered, so
+// it stays quick with every receipt loaded
+function ReceiptsTable({ receipts, onSave, onDelete, onUserClick }) {
+  const [filters, setFilters] = useState({ user: '', action: '', concept: '', text: '' });
+  const [sort, setSort] = useState({ key: 'time', direction: 'desc' });
+  const [scrollTop, setScrollTop] = useState(0);
+  const [editing, setEditing] = useState(null);
+  const scrollRef = useRef(null);
+
+  const options = useMemo(() => ({
+    users: [...new Set(receipts.map(r => r.user))].sort(),
+    actions: [...new Set(receipts.map(r => r.action))].sort(),
+    concepts: [...new Set(receipts.map(r => r.concept).filter(Boolean))].sort()
+  }), [receipts]);
+
+  const rows = useMemo(
+    () => sortReceipts(searchReceipts(receipts, filters), sort.key, sort.direction),
+    [receipts, filters, sort]
+  );
+
+  // back to the top whenever the rows change underneath
+  const updateFilters = (changes) => {
+    setFilters({ ...filters, ...changes });
+    setScrollTop(0);
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+  };
+
+  const toggleSort = (key) => {
+    setSort(sort.key === key ? { key, direction: sort.direction === 'asc' ? 'desc' : 'asc' } : { key, direction: key === 'time' || key === 'clout' ? 'desc' : 'asc' });
+  };
+
+  const first = Math.max(0, Math.floor(scrollTop / RECEIPT_ROW_HEIGHT) - 10);
+  const last = Math.min(rows.length, Math.ceil((scrollTop + RECEIPT_TABLE_HEIGHT) / RECEIPT_ROW_HEIGHT) + 10);
+
+  const saveEdit = () => {
+    const { receipt, ...changes } = editing;
+    setEditing(null);
+    onSave(receipt, { ...changes, concept: changes.concept.trim() || null, clout: parseInt(changes.clout) || 0 });
+  };
+
+  const header = (key, label) => (
+    <button onClick={() => toggleSort(key)} className="text-left hover:text-gray-300">
+      {label}{sort.key === key ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : ''}
+    </button>
+  );
+
+  const inputClass = 'bg-gray-900 text-white border border-gray-700 rounded px-2 py-1 text-sm min-w-0';
+
+  return (
+    <div>
+      <div className="flex gap-2 mb-4 flex-wrap">
+        <input
+          type="text"
+          value={filters.text}
+          onChange={(e) => updateFilters({ text: e.target.value })}
+          placeholder="search receipt text..."
+          className={`${inputClass} flex-1 min-w-[12rem]`}
+        />
+        <input
+          type="text"
+          list="receipt-users"
+          value={filters.user}
+          onChange={(e) => updateFilters({ user: e.target.value })}
+          placeholder="any user"
+          className={inputClass}
+        />
+        <datalist id="receipt-users">
+          {options.users.map(user => <option key={user} value={user} />)}
+        </datalist>
+        <select value={filters.action} onChange={(e) => updateFilters({ action: e.target.value })} className={inputClass}>
+          <option value="">any action</option>
+          {options.actions.map(action => <option key={action} value={action}>{action}</option>)}
+        </select>
+        <select value={filters.concept} onChange={(e) => updateFilters({ concept: e.target.value })} className={inputClass}>
+          <option value="">any concept</option>
+          {options.concepts.map(concept => <option key={concept} value={concept}>{concept}</option>)}
+        </select>
+      </div>
+
+      <p className="text-gray-500 text-sm mb-2">
+        {rows.length} of {receipts.length} receipts in range · sum {analytics.totalClout(rows)}¢
+      </p>
+
+      <div className={`grid ${RECEIPT_COLUMNS} gap-2 px-2 pb-2 text-xs text-gray-500 border-b border-gray-700`}>
+        {header('time', 'date')}
+        {header('user', 'user')}
+        {header('action', 'action')}
+        {header('concept', 'concept')}
+        {header('clout', 'clout')}
+        <span>text</span>
+        <span></span>
+      </div>
+
+      <div
+        ref={scrollRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        className="overflow-y-auto"
+        style={{ height: Math.min(RECEIPT_TABLE_HEIGHT, rows.length * RECEIPT_ROW_HEIGHT) }}
+      >
+        <div style={{ height: rows.length * RECEIPT_ROW_HEIGHT, position: 'relative' }}>
+          {rows.slice(first, last).map((receipt, i) => {
+            const isEditing = editing?.receipt.id === receipt.id;
+            return (
+              <div
+                key={receipt.id}
+                className={`grid ${RECEIPT_COLUMNS} gap-2 px-2 items-center text-sm border-b border-gray-800 ${isEditing ? 'bg-gray-900' : 'hover:bg-gray-900'}`}
+                style={{ position: 'absolute', top: (first + i) * RECEIPT_ROW_HEIGHT, height: RECEIPT_ROW_HEIGHT, left: 0, right: 0 }}
+              >
+                <span className="text-gray-500 truncate">{receipt.date.replace(/\s+/g, ' ')}</span>
+                {isEditing ? (
+                  <>
+                    <input value={editing.user} onChange={(e) => setEditing({ ...editing, user: e.target.value })} className={inputClass} />
+                    <input list="receipt-actions" value={editing.action} onChange={(e) => setEditing({ ...editing, action: e.target.value })} className={inputClass} />
+                    <input value={editing.concept} onChange={(e) => setEditing({ ...editing, concept: e.target.value })} className={inputClass} />
+                    <input type="number" value={editing.clout} onChange={(e) => setEditing({ ...editing, clout: e.target.value })} className={inputClass} />
+                  </>
+                ) : (
+                  <>
+                    {onUserClick ? (
+                      <button onClick={() => onUserClick(receipt.user)} className="text-left text-gray-300 hover:text-green-400 truncate">{receipt.user}</button>
+                    ) : (
+                      <span className="text-gray-300 truncate">{receipt.user}</span>
+                    )}
+                    <span className={receipt.action === 'unknown' ? 'text-yellow-400' : 'text-gray-300'}>{receipt.action}</span>
+                    <span className="text-gray-300 truncate">{receipt.concept || '-'}</span>
+                    <span className={receipt.clout >= 0 ? 'text-green-400' : 'text-red-400'}>{receipt.clout}¢</span>
+                  </>
+                )}
+                <span className="text-gray-500 truncate" title={receipt.raw}>{receipt.raw}</span>
+                <div className="flex gap-1 justify-end">
+                  {isEditing ? (
+                    <>
+                      <button onClick={saveEdit} className="px-2 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-xs">save</button>
+                      <button onClick={() => setEditing(null)} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs">cancel</button>
+                    </>
+                  ) : (
+                    <>
+                      <button
+                        onClick={() => setEditing({ receipt, user: receipt.user, action: receipt.action, concept: receipt.concept || '', clout: receipt.clout })}
+                        className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs"
+                      >
+                        edit
+                      </button>
+                      <button onClick={() => onDelete(receipt)} className="px-2 py-1 bg-red-700 hover:bg-red-600 text-white rounded text-xs">delete</button>
+                    </>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      <datalist id="receipt-actions">
+        {options.actions.map(action => <option key={action} value={action} />)}
+      </datalist>
+    </div>
+  );
+}
+
+// rules are stored without empty fields - firestore rejects undefined values
+const cleanRule = ({ pattern, flags, action, user, concept }) => ({
+  pattern,
+  action: action.trim(),
+  ...(flags ? { flags } : {}),
+  ...(user ? { user: Number(user) } : {}),
+  ...(concept ? { concept: Number(concept) } : {})
+});
+
 // auth context
 const AuthContext = createContext();
 
@@ -72,13 +344,29 @@ function ReceiptAnalytics() {
   const { user, loading: authLoading, signup, login, logout } = useAuth();
   
   const [receipts, setReceipts] = useState([]);
+  // fingerprints of receipts deleted or corrected by hand, so imports skip them
+  const [receiptTombstones, setReceiptTombstones] = useState({});
   const [timeFilter, setTimeFilter] = useState('all');
+  const [customRange, setCustomRange] = useState({ start: '', end: '' });
+  const [attribution, setAttribution] = useState(analytics.DEFAULT_ATTRIBUTION);
   const [bounties, setBounties] = useState({});
   const [untaggedBounties, setUntaggedBounties] = useState([]);
   const [showBountyModal, setShowBountyModal] = useState(false);
+  const [showBountyManager, setShowBountyManager] = useState(false);
+  const [showPlanner, setShowPlanner] = useState(false);
+  const [plannerInput, setPlannerInput] = useState({ concept: '', amount: 100, hour: 12 });
   const [selectedBounty, setSelectedBounty] = useState(null);
   const [selectedConcept, setSelectedConcept] = useState('');
   const [activeTab, setActiveTab] = useState('concepts');
+  const [drilldownConcept, setDrilldownConcept] = useState(null);
+  const [profileUser, setProfileUser] = useState(null);
+  const [relationshipFilter, setRelationshipFilter] = useState('all');
+  const [heatmapMetric, setHeatmapMetric] = useState('perEvent');
+  const [flowBucket, setFlowBucket] = useState('day');
+  const [forecastHorizon, setForecastHorizon] = useState(7);
+  // unusual activity found in the last imports, and the one being looked at
+  const [anomalies, setAnomalies] = useState([]);
+  const [anomalyView, setAnomalyView] = useState(null);
   const [username, setUsername] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [deleteProgress, setDeleteProgress] = useState({ current: 0, total: 0 });
@@ -93,6 +381,22 @@ function ReceiptAnalytics() {
   const [authError, setAuthError] = useState('');
   const [showSavePrompt, setShowSavePrompt] = useState(false);
 
+  // classification rules state
+  const [rules, setRules] = useState(DEFAULT_RULES);
+  const [showRulesModal, setShowRulesModal] = useState(false);
+  const [draftRules, setDraftRules] = useState([]);
+  const [ruleTestText, setRuleTestText] = useState('');
+
+  // ledger state. checkpoints are balances read off the site: { time, balance }
+  const [balanceCheckpoints, setBalanceCheckpoints] = useState([]);
+  const [checkpointInput, setCheckpointInput] = useState({ balance: '', time: '' });
+  const [ledgerBucket, setLedgerBucket] = useState('day');
+
+  // screenshot import state
+  const [ocrRows, setOcrRows] = useState(null);
+  const [ocrProgress, setOcrProgress] = useState({ current: 0, total: 0 });
+  const [ocrCapturedAt, setOcrCapturedAt] = useState(null);
+
   // load data from localStorage or firestore
   useEffect(() => {
     if (authLoading) return;
@@ -102,10 +406,14 @@ function ReceiptAnalytics() {
       loadUsername();
     } else {
       // load from localStorage
+      // anything saved before timestamps were stored is dated against today,
+      // once, and written back so it stays put from then on
       const stored = localStorage.getItem('receipt_data');
       if (stored) {
         try {
-          setReceipts(JSON.parse(stored));
+          const storedReceipts = assignReceiptIds(analytics.stampReceipts(JSON.parse(stored)));
+          setReceipts(storedReceipts);
+          localStorage.setItem('receipt_data', JSON.stringify(storedReceipts));
         } catch (e) {
           console.error('failed to parse stored receipts:', e);
         }
@@ -114,7 +422,9 @@ function ReceiptAnalytics() {
       const storedBounties = localStorage.getItem('bounty_data');
       if (storedBounties) {
         try {
-          setBounties(JSON.parse(storedBounties));
+          const stampedBounties = stampBounties(JSON.parse(storedBounties));
+          setBounties(stampedBounties);
+          localStorage.setItem('bounty_data', JSON.stringify(stampedBounties));
         } catch (e) {
           console.error('failed to parse bounties:', e);
         }
@@ -123,11 +433,40 @@ function ReceiptAnalytics() {
       const storedUntagged = localStorage.getItem('untagged_bounties');
       if (storedUntagged) {
         try {
-          setUntaggedBounties(JSON.parse(storedUntagged));
+          const stampedUntagged = analytics.stampReceipts(JSON.parse(storedUntagged));
+          setUntaggedBounties(stampedUntagged);
+          localStorage.setItem('untagged_bounties', JSON.stringify(stampedUntagged));
         } catch (e) {
           console.error('failed to parse untagged bounties:', e);
         }
       }
+
+      const storedRules = localStorage.getItem('classification_rules');
+      if (storedRules) {
+        try {
+          setRules(JSON.parse(storedRules));
+        } catch (e) {
+          console.error('failed to parse classification rules:', e);
+        }
+      }
+
+      const storedCheckpoints = localStorage.getItem('balance_checkpoints');
+      if (storedCheckpoints) {
+        try {
+          setBalanceCheckpoints(JSON.parse(storedCheckpoints));
+        } catch (e) {
+          console.error('failed to parse balance checkpoints:', e);
+        }
+      }
+
+      const storedTombstones = localStorage.getItem('receipt_tombstones');
+      if (storedTombstones) {
+        try {
+          setReceiptTombstones(JSON.parse(storedTombstones));
+        } catch (e) {
+          console.error('failed to parse receipt tombstones:', e);
+        }
+      }
     }
   }, [user, authLoading]);
 
@@ -173,12 +512,25 @@ function ReceiptAnalytics() {
         const itemsRef = collection(db, 'users', user.uid, 'receipts_by_date', dateDoc.id, 'items');
         const itemsSnap = await getDocs(itemsRef);
         console.log(`loaded ${itemsSnap.docs.length} items from ${dateDoc.id}`);
-        return itemsSnap.docs.map(itemDoc => itemDoc.data());
+        // a day was last written around when its receipts were captured, so
+        // that's the best year anchor for receipts stored without a timestamp
+        const capturedAt = dateDoc.data().lastUpdated ? new Date(dateDoc.data().lastUpdated) : new Date();
+        return itemsSnap.docs.map(itemDoc => ({ ref: itemDoc.ref, stored: itemDoc.data(), capturedAt }));
       });
       
       const dateResults = await Promise.all(datePromises);
-      const loadedReceipts = dateResults.flat();
+      const loadedItems = dateResults.flat();
+      const loadedReceipts = assignReceiptIds(loadedItems.map(item => analytics.stampReceipt(item.stored, item.capturedAt)));
       console.log(`total receipts loaded: ${loadedReceipts.length}`);
+
+      // items saved before fingerprint ids sit under their position in the day,
+      // and older ones have no timestamp - rewrite both once under their id
+      const staleItems = loadedItems
+        .map((item, i) => ({ ref: item.ref, receipt: loadedReceipts[i], stored: item.stored }))
+        .filter(item => item.ref.id !== item.receipt.id || item.stored !== item.receipt);
+      if (staleItems.length > 0) {
+        await rekeyReceipts(staleItems);
+      }
       
       // load metadata (bounties, untagged)
       console.log('loading metadata...');
@@ -187,9 +539,51 @@ function ReceiptAnalytics() {
       
       if (metadataSnap.exists()) {
         const data = metadataSnap.data();
-        setBounties(data.bounties || {});
-        setUntaggedBounties(data.untaggedBounties || []);
+        const capturedAt = data.lastUpdated ? new Date(data.lastUpdated) : new Date();
+        const loadedBounties = stampBounties(data.bounties || {}, capturedAt);
+        const loadedUntagged = analytics.stampReceipts(data.untaggedBounties || [], capturedAt);
+        setBounties(loadedBounties);
+        setUntaggedBounties(loadedUntagged);
         console.log('metadata loaded');
+
+        if (JSON.stringify(loadedBounties) !== JSON.stringify(data.bounties || {}) ||
+            JSON.stringify(loadedUntagged) !== JSON.stringify(data.untaggedBounties || [])) {
+          await setDoc(metadataRef, { bounties: loadedBounties, untaggedBounties: loadedUntagged }, { merge: true });
+        }
+      }
+
+      // rules live in their own doc so metadata rewrites can't drop them
+      const rulesSnap = await getDoc(doc(db, 'users', user.uid, 'metadata', 'rules'));
+      if (rulesSnap.exists()) {
+        setRules(rulesSnap.data().rules || DEFAULT_RULES);
+      } else {
+        const localRules = localStorage.getItem('classification_rules');
+        if (localRules) {
+          await saveRules(JSON.parse(localRules));
+          localStorage.removeItem('classification_rules');
+        }
+      }
+
+      const balancesSnap = await getDoc(doc(db, 'users', user.uid, 'metadata', 'balances'));
+      if (balancesSnap.exists()) {
+        setBalanceCheckpoints(balancesSnap.data().checkpoints || []);
+      } else {
+        const localCheckpoints = localStorage.getItem('balance_checkpoints');
+        if (localCheckpoints) {
+          await saveCheckpoints(JSON.parse(localCheckpoints));
+          localStorage.removeItem('balance_checkpoints');
+        }
+      }
+
+      const tombstonesSnap = await getDoc(doc(db, 'users', user.uid, 'metadata', 'tombstones'));
+      if (tombstonesSnap.exists()) {
+        setReceiptTombstones(tombstonesSnap.data().fingerprints || {});
+      } else {
+        const localTombstones = localStorage.getItem('receipt_tombstones');
+        if (localTombstones) {
+          await saveTombstones(JSON.parse(localTombstones));
+          localStorage.removeItem('receipt_tombstones');
+        }
       }
       
       setReceipts(loadedReceipts);
@@ -220,7 +614,7 @@ function ReceiptAnalytics() {
           const oldBounties = metadataSnap.exists() ? (metadataSnap.data().bounties || {}) : {};
           const oldUntagged = metadataSnap.exists() ? (metadataSnap.data().untaggedBounties || []) : [];
           
-          await migrateToSubcollections(oldReceipts, oldBounties, oldUntagged);
+          const migrated = await migrateToSubcollections(oldReceipts, oldBounties, oldUntagged);
           
           // delete old structure
           const batch = writeBatch(db);
@@ -229,9 +623,9 @@ function ReceiptAnalytics() {
           });
           await batch.commit();
           
-          setReceipts(oldReceipts);
-          setBounties(oldBounties);
-          setUntaggedBounties(oldUntagged);
+          setReceipts(assignReceiptIds(analytics.stampReceipts(oldReceipts)));
+          setBounties(migrated.bounties);
+          setUntaggedBounties(migrated.untaggedBounties);
         } else {
           // try really old userData structure
           const oldDocRef = doc(db, 'userData', user.uid);
@@ -254,11 +648,11 @@ function ReceiptAnalytics() {
               const bountiesData = localBounties ? JSON.parse(localBounties) : {};
               const untaggedData = localUntagged ? JSON.parse(localUntagged) : [];
               
-              await migrateToSubcollections(receiptsData, bountiesData, untaggedData);
+              const migrated = await migrateToSubcollections(receiptsData, bountiesData, untaggedData);
               
-              setReceipts(receiptsData);
-              setBounties(bountiesData);
-              setUntaggedBounties(untaggedData);
+              setReceipts(assignReceiptIds(analytics.stampReceipts(receiptsData)));
+              setBounties(migrated.bounties);
+              setUntaggedBounties(migrated.untaggedBounties);
               
               localStorage.removeItem('receipt_data');
               localStorage.removeItem('bounty_data');
@@ -281,16 +675,10 @@ function ReceiptAnalytics() {
     
     console.log(`migrating ${receiptsData.length} receipts to date-based subcollections...`);
     
-    // normalize date to just the day part for firestore path
-    const normalizeDateToDay = (dateStr) => {
-      const match = dateStr.match(/^([A-Za-z]+\s+\d+)/);
-      return match ? match[1] : dateStr;
-    };
-    
     // group receipts by normalized date
     const receiptsByDate = {};
     let skippedCount = 0;
-    receiptsData.forEach((receipt, index) => {
+    assignReceiptIds(analytics.stampReceipts(receiptsData)).forEach((receipt, index) => {
       if (!receipt.date || !receipt.date.trim()) {
         console.error('skipping receipt with missing date during migration:', receipt);
         skippedCount++;
@@ -339,7 +727,7 @@ function ReceiptAnalytics() {
       // create items subcollection with full timestamps preserved
       for (let i = 0; i < dateReceipts.length; i++) {
         const receipt = dateReceipts[i];
-        const itemRef = doc(db, 'users', user.uid, 'receipts_by_date', dateId, 'items', i.toString());
+        const itemRef = doc(db, 'users', user.uid, 'receipts_by_date', dateId, 'items', receipt.id);
         batch.set(itemRef, receipt);
         operationCount++;
         
@@ -353,11 +741,13 @@ function ReceiptAnalytics() {
       }
     }
     
-    // save metadata in final batch
+    // save metadata in final batch, bounties stamped like the receipts
+    const stampedBounties = stampBounties(bountiesData);
+    const stampedUntagged = analytics.stampReceipts(untaggedData);
     const metadataRef = doc(db, 'users', user.uid, 'metadata', 'settings');
     batch.set(metadataRef, {
-      bounties: bountiesData,
-      untaggedBounties: untaggedData,
+      bounties: stampedBounties,
+      untaggedBounties: stampedUntagged,
       lastUpdated: new Date().toISOString()
     });
     operationCount++;
@@ -369,71 +759,24 @@ function ReceiptAnalytics() {
     }
     
     console.log('migration complete');
+    return { bounties: stampedBounties, untaggedBounties: stampedUntagged };
   };
 
   const saveToStorage = async (newReceipts, newBounties, newUntagged) => {
     if (user) {
       setIsLoading(true);
       try {
-        const batch = writeBatch(db);
-        
-        // normalize date to just the day part for firestore path (but keep full timestamp in receipt)
-        const normalizeDateToDay = (dateStr) => {
-          // "Oct 18 1:15 PM" -> "Oct 18"
-          const match = dateStr.match(/^([A-Za-z]+\s+\d+)/);
-          return match ? match[1] : dateStr;
-        };
-        
-        // group NEW receipts by normalized date (only ones that were just added)
-        const receiptsByDate = {};
-        const existingCount = receipts.length;
-        const addedReceipts = newReceipts.slice(existingCount); // only get new ones
-        
-        addedReceipts.forEach((receipt, index) => {
-          if (!receipt.date || !receipt.date.trim()) {
-            console.error('skipping receipt with missing date during save:', receipt);
-            return;
-          }
-          const normalizedDate = normalizeDateToDay(receipt.date);
-          if (!receiptsByDate[normalizedDate]) {
-            receiptsByDate[normalizedDate] = [];
-          }
-          // keep the FULL timestamp in the receipt object
-          receiptsByDate[normalizedDate].push({ ...receipt, originalIndex: existingCount + index });
-        });
-        
-        // only save NEW receipts to their date subcollections
-        Object.entries(receiptsByDate).forEach(([normalizedDate, dateReceipts]) => {
-          const dateId = normalizedDate.replace(/[^a-zA-Z0-9]/g, '_');
-          
-          // get existing count for this normalized date
-          const existingForDate = receipts.filter(r => normalizeDateToDay(r.date) === normalizedDate).length;
-          
-          // update date document with new count
-          const dateDocRef = doc(db, 'users', user.uid, 'receipts_by_date', dateId);
-          batch.set(dateDocRef, { 
-            date: normalizedDate,
-            itemCount: existingForDate + dateReceipts.length,
-            lastUpdated: new Date().toISOString()
-          }, { merge: true });
-          
-          // append new items starting from existing count
-          dateReceipts.forEach((receipt, idx) => {
-            const position = existingForDate + idx;
-            const itemRef = doc(db, 'users', user.uid, 'receipts_by_date', dateId, 'items', position.toString());
-            batch.set(itemRef, receipt); // receipt still has full timestamp
-          });
-        });
-        
-        // always update metadata (it's small)
+        // receipts in state are what's already stored, so only the difference is written
+        await syncReceipts(receipts, newReceipts);
+
+        // always update metadata (it's small). mergeFields replaces the bounty
+        // maps whole - merge would keep concepts whose last bounty was removed
         const metadataRef = doc(db, 'users', user.uid, 'metadata', 'settings');
-        batch.set(metadataRef, {
+        await setDoc(metadataRef, {
           bounties: newBounties,
           untaggedBounties: newUntagged,
           lastUpdated: new Date().toISOString()
-        }, { merge: true });
-        
-        await batch.commit();
+        }, { mergeFields: ['bounties', 'untaggedBounties', 'lastUpdated'] });
       } catch (e) {
         console.error('failed to save to firestore:', e);
       } finally {
@@ -447,6 +790,125 @@ function ReceiptAnalytics() {
     }
   };
 
+  const receiptRef = (receipt) => doc(db, 'users', user.uid, 'receipts_by_date', dateDocId(receipt.date), 'items', receipt.id);
+
+  // firestore batches cap at 500 writes, so commit every 450 with a short pause
+  const commitInBatches = async (operations) => {
+    const MAX_BATCH_SIZE = 450;
+    for (let i = 0; i < operations.length; i += MAX_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      operations.slice(i, i + MAX_BATCH_SIZE).forEach(op => op(batch));
+      await batch.commit();
+      if (i + MAX_BATCH_SIZE < operations.length) {
+        await new Promise(r => setTimeout(r, 100));
+      }
+    }
+  };
+
+  // store the receipts that are new or changed in `after` and delete the ones
+  // it dropped. both lists need ids (assignReceiptIds) - items are stored under them
+  const syncReceipts = async (before, after) => {
+    if (!user) {
+      localStorage.setItem('receipt_data', JSON.stringify(after));
+      return;
+    }
+
+    const { added, changed, removed } = diffReceipts(before, after);
+    const operations = [
+      ...removed.map(receipt => (batch) => batch.delete(receiptRef(receipt))),
+      ...[...added, ...changed]
+        .filter(receipt => receipt.date && receipt.date.trim())
+        .map(receipt => (batch) => batch.set(receiptRef(receipt), receipt))
+    ];
+
+    // keep each touched day's item count right, and drop days left empty
+    const touchedDays = new Set([...added, ...removed].filter(r => r.date).map(r => normalizeDateToDay(r.date)));
+    touchedDays.forEach(day => {
+      const itemCount = after.filter(r => r.date && normalizeDateToDay(r.date) === day).length;
+      const dateDocRef = doc(db, 'users', user.uid, 'receipts_by_date', dateDocId(day));
+      operations.push(itemCount > 0
+        ? (batch) => batch.set(dateDocRef, { date: day, itemCount, lastUpdated: new Date().toISOString() }, { merge: true })
+        : (batch) => batch.delete(dateDocRef));
+    });
+
+    await commitInBatches(operations);
+  };
+
+  // rewrite loaded items ({ ref, receipt }) under their id, moving any stored
+  // elsewhere. every delete lands before any write - one receipt can be moving
+  // onto the id another is moving off
+  const rekeyReceipts = async (items) => {
+    await commitInBatches(items
+      .filter(({ ref, receipt }) => ref.id !== receipt.id)
+      .map(({ ref }) => (batch) => batch.delete(ref)));
+    await commitInBatches(items.map(({ receipt }) => (batch) => batch.set(receiptRef(receipt), receipt)));
+  };
+
+  const saveRules = async (newRules) => {
+    setRules(newRules);
+    if (user) {
+      try {
+        await setDoc(doc(db, 'users', user.uid, 'metadata', 'rules'), {
+          rules: newRules,
+          lastUpdated: new Date().toISOString()
+        });
+      } catch (e) {
+        console.error('failed to save rules to firestore:', e);
+      }
+    } else {
+      localStorage.setItem('classification_rules', JSON.stringify(newRules));
+    }
+  };
+
+  const saveCheckpoints = async (newCheckpoints) => {
+    setBalanceCheckpoints(newCheckpoints);
+    if (user) {
+      try {
+        await setDoc(doc(db, 'users', user.uid, 'metadata', 'balances'), {
+          checkpoints: newCheckpoints,
+          lastUpdated: new Date().toISOString()
+        });
+      } catch (e) {
+        console.error('failed to save balance checkpoints to firestore:', e);
+      }
+    } else {
+      localStorage.setItem('balance_checkpoints', JSON.stringify(newCheckpoints));
+    }
+  };
+
+  const saveTombstones = async (newTombstones) => {
+    setReceiptTombstones(newTombstones);
+    if (user) {
+      try {
+        await setDoc(doc(db, 'users', user.uid, 'metadata', 'tombstones'), {
+          fingerprints: newTombstones,
+          lastUpdated: new Date().toISOString()
+        });
+      } catch (e) {
+        console.error('failed to save receipt tombstones to firestore:', e);
+      }
+    } else {
+      localStorage.setItem('receipt_tombstones', JSON.stringify(newTombstones));
+    }
+  };
+
+  const handleAddCheckpoint = async () => {
+    const balance = parseInt(checkpointInput.balance);
+    if (isNaN(balance)) {
+      alert('enter the balance shown on simcluster');
+      return;
+    }
+    const time = checkpointInput.time ? new Date(checkpointInput.time) : new Date();
+    if (isNaN(time)) {
+      alert('that time could not be read');
+      return;
+    }
+    await saveCheckpoints([...balanceCheckpoints, { time: time.toISOString(), balance }]);
+    setCheckpointInput({ balance: '', time: '' });
+  };
+
+  const classify = (content) => classifyReceipt(content, rules);
+
   const handleAuth = async (e) => {
     e.preventDefault();
     setAuthError('');
@@ -476,179 +938,251 @@ function ReceiptAnalytics() {
       setReceipts([]);
       setBounties({});
       setUntaggedBounties([]);
+      setRules(DEFAULT_RULES);
+      setBalanceCheckpoints([]);
+      setReceiptTombstones({});
+      setAnomalies([]);
     } catch (e) {
       console.error('logout failed:', e);
     }
   };
 
+  // merge parsed receipts into state, skipping ones we already have by fingerprint.
+  // dates are resolved against parsed.capturedAt (now for older pastes)
+  const importData = (parsed) => {
+    const incomingReceipts = Array.isArray(parsed) ? parsed : parsed.receipts;
+    if (!Array.isArray(incomingReceipts)) {
+      throw new Error('no receipts in data');
+    }
+    const capturedAt = parsed.capturedAt ? new Date(parsed.capturedAt) : new Date();
+
+    const datedReceipts = analytics.stampReceipts(incomingReceipts, capturedAt).filter(receipt => {
+      if (receipt.date && receipt.date.trim()) return true;
+      console.error('skipping receipt with missing date:', receipt);
+      return false;
+    });
+    const skippedCount = incomingReceipts.length - datedReceipts.length;
+
+    const { receipts: newReceipts, added } = mergeReceipts(receipts, datedReceipts, receiptTombstones);
+    const addedCount = added.length;
+
+    // bounties to tag come from the bounty receipts that were actually new, so
+    // pasting a page again can't re-queue bounties that were already tagged
+    const newBounties = added
+      .filter(receipt => receipt.action === 'bounty')
+      .map(receipt => ({
+        clout: Math.abs(receipt.clout),
+        date: receipt.date,
+        ...(receipt.timestamp ? { timestamp: receipt.timestamp } : {})
+      }));
+    const newUntagged = [...untaggedBounties, ...newBounties];
+    const addedBounties = newBounties.length;
+    
+    if (addedCount === 0) {
+      alert(`no new data found - all receipts already loaded${skippedCount > 0 ? ` (${skippedCount} skipped due to missing dates)` : ''}`);
+      return;
+    }
+    
+    // update ui immediately before async save
+    setReceipts(newReceipts);
+    setUntaggedBounties(newUntagged);
+
+    // unusual hours the new receipts are part of
+    const addedIds = new Set(added.map(receipt => receipt.id));
+    const findings = analytics.detectAnomalies(newReceipts)
+      .filter(finding => finding.receipts.some(receipt => addedIds.has(receipt.id)));
+    setAnomalies(current => [...findings, ...current.filter(old => !findings.some(finding => finding.id === old.id))]);
+    
+    // save in background
+    saveToStorage(newReceipts, bounties, newUntagged).then(() => {
+      console.log('save complete');
+    });
+    
+    alert(`added ${addedCount} new receipts${skippedCount > 0 ? ` (${skippedCount} skipped due to missing dates)` : ''}. ${addedBounties > 0 ? `${addedBounties} new bounties need tagging.` : ''}`);
+  };
+
   const handlePaste = async () => {
     setIsLoading(true);
     try {
       const text = await navigator.clipboard.readText();
-      const parsed = JSON.parse(text);
-      
-      let newReceipts = [...receipts];
-      let newUntagged = [...untaggedBounties];
-      let addedCount = 0;
-      let addedBounties = 0;
-      let skippedCount = 0;
-      
-      if (parsed.receipts && Array.isArray(parsed.receipts)) {
-        // track how many receipts we have from each date in their original order
-        const existingByDate = {};
-        receipts.forEach((receipt) => {
-          if (!existingByDate[receipt.date]) {
-            existingByDate[receipt.date] = 0;
-          }
-          existingByDate[receipt.date]++;
-        });
-        
-        // track position within each date as we iterate
-        const incomingPositionByDate = {};
-        
-        parsed.receipts.forEach((receipt) => {
-          if (!receipt.date || !receipt.date.trim()) {
-            console.error('skipping receipt with missing date:', receipt);
-            skippedCount++;
-            return;
-          }
-          
-          // initialize position counter for this date if needed
-          if (incomingPositionByDate[receipt.date] === undefined) {
-            incomingPositionByDate[receipt.date] = 0;
-          }
-          
-          const positionInDate = incomingPositionByDate[receipt.date];
-          const existingCount = existingByDate[receipt.date] || 0;
-          
-          // only add if this position doesn't exist yet
-          if (positionInDate >= existingCount) {
-            newReceipts.push(receipt);
-            addedCount++;
-            // update existing count so we don't add dupes within this paste
-            existingByDate[receipt.date] = existingCount + 1;
-          }
-          
-          incomingPositionByDate[receipt.date]++;
-        });
-        
-        if (parsed.bounties && parsed.bounties.length > 0) {
-          const existingBountiesByDate = {};
-          untaggedBounties.forEach((bounty) => {
-            if (!existingBountiesByDate[bounty.date]) {
-              existingBountiesByDate[bounty.date] = 0;
-            }
-            existingBountiesByDate[bounty.date]++;
-          });
-          
-          const incomingBountyPositionByDate = {};
-          
-          parsed.bounties.forEach((bounty) => {
-            if (!bounty.date || !bounty.date.trim()) {
-              console.error('skipping bounty with missing date:', bounty);
-              return;
-            }
-            
-            if (incomingBountyPositionByDate[bounty.date] === undefined) {
-              incomingBountyPositionByDate[bounty.date] = 0;
-            }
-            
-            const positionInDate = incomingBountyPositionByDate[bounty.date];
-            const existingCount = existingBountiesByDate[bounty.date] || 0;
-            
-            if (positionInDate >= existingCount) {
-              newUntagged.push(bounty);
-              addedBounties++;
-              existingBountiesByDate[bounty.date] = existingCount + 1;
-            }
-            
-            incomingBountyPositionByDate[bounty.date]++;
-          });
-        }
-        
-        if (addedCount === 0 && addedBounties === 0) {
-          alert(`no new data found - all receipts already loaded${skippedCount > 0 ? ` (${skippedCount} skipped due to missing dates)` : ''}`);
-          return;
-        }
-        
-        // update ui immediately before async save
-        setReceipts(newReceipts);
-        setUntaggedBounties(newUntagged);
-        
-        // save in background
-        saveToStorage(newReceipts, bounties, newUntagged).then(() => {
-          console.log('save complete');
-        });
-        
-        alert(`added ${addedCount} new receipts${skippedCount > 0 ? ` (${skippedCount} skipped due to missing dates)` : ''}. ${addedBounties > 0 ? `${addedBounties} new bounties need tagging.` : ''}`);
+      importData(JSON.parse(text));
+    } catch (e) {
+      console.error(e);
+      alert('failed to paste - make sure you copied valid receipt data');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // saved activity pages go through the same row parser as the bookmarklet
+  const handleHtmlUpload = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setIsLoading(true);
+    try {
+      // each page is merged into the ones before it, so rows that overlapping
+      // saves share are imported once instead of once per page
+      let pageReceipts = [];
+      for (const file of files) {
+        const page = new DOMParser().parseFromString(await file.text(), 'text/html');
+        const pageData = parseActivityRows(page, classify);
+        // a saved page was captured when the file was saved
+        const stamped = analytics.stampReceipts(pageData.receipts, new Date(file.lastModified));
+        pageReceipts = mergeReceipts(pageReceipts, stamped).receipts;
+      }
+
+      if (pageReceipts.length === 0) {
+        alert('no receipts found - make sure you saved your activity page after loading it');
         return;
-      } else if (Array.isArray(parsed)) {
-        const existingByDate = {};
-        receipts.forEach((receipt) => {
-          if (!existingByDate[receipt.date]) {
-            existingByDate[receipt.date] = 0;
-          }
-          existingByDate[receipt.date]++;
-        });
-        
-        const incomingPositionByDate = {};
-        
-        parsed.forEach((receipt) => {
-          if (!receipt.date || !receipt.date.trim()) {
-            console.error('skipping receipt with missing date:', receipt);
-            skippedCount++;
-            return;
-          }
-          
-          if (incomingPositionByDate[receipt.date] === undefined) {
-            incomingPositionByDate[receipt.date] = 0;
-          }
-          
-          const positionInDate = incomingPositionByDate[receipt.date];
-          const existingCount = existingByDate[receipt.date] || 0;
-          
-          if (positionInDate >= existingCount) {
-            newReceipts.push(receipt);
-            addedCount++;
-            existingByDate[receipt.date] = existingCount + 1;
-          }
-          
-          incomingPositionByDate[receipt.date]++;
-        });
-        
-        if (addedCount === 0) {
-          alert(`no new data found - all receipts already loaded${skippedCount > 0 ? ` (${skippedCount} skipped due to missing dates)` : ''}`);
-          setIsLoading(false);
-          return;
-        }
-        
-        // update ui immediately
-        setReceipts(newReceipts);
-        
-        // save in background
-        saveToStorage(newReceipts, bounties, newUntagged).then(() => {
-          console.log('save complete');
-        });
-        
-        alert(`added ${addedCount} new receipts${skippedCount > 0 ? ` (${skippedCount} skipped due to missing dates)` : ''}`);
       }
+
+      importData({ receipts: pageReceipts });
     } catch (e) {
       console.error(e);
-      alert('failed to paste - make sure you copied valid receipt data');
+      alert('failed to import - make sure you picked a saved activity page');
     } finally {
       setIsLoading(false);
     }
   };
 
-  const handleClear = async () => {
-    if (!confirm('are you sure? this will delete ALL your receipts')) return;
-    
+  // screenshots are ocr'd into rows that wait in the review modal until accepted
+  const handleScreenshotUpload = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setIsLoading(true);
+    setOcrProgress({ current: 0, total: files.length });
+    try {
+      const rows = await recognizeScreenshots(files, (current, total) => setOcrProgress({ current, total }), classify);
+      if (rows.length === 0) {
+        alert('no receipts found - make sure the screenshots show your activity feed');
+        return;
+      }
+      // anything with issues starts unticked so it gets a look before import
+      setOcrRows(rows.map(row => ({ ...row, include: row.issues.length === 0 })));
+      // no row can be newer than the newest screenshot
+      setOcrCapturedAt(new Date(Math.max(...files.map(file => file.lastModified))).toISOString());
+    } catch (e) {
+      console.error(e);
+      alert('failed to read screenshots: ' + e.message);
+    } finally {
+      setIsLoading(false);
+      setOcrProgress({ current: 0, total: 0 });
+    }
+  };
+
+  const updateOcrRow = (index, changes) => {
+    setOcrRows(rows => rows.map((row, i) => {
+      if (i !== index) return row;
+      const receipt = { ...row.receipt, ...changes };
+      if (changes.raw !== undefined) {
+        Object.assign(receipt, classify(changes.raw));
+      }
+      return { ...row, receipt, include: true };
+    }));
+  };
+
+  const handleOcrImport = () => {
+    const accepted = ocrRows.filter(row => row.include);
+    setOcrRows(null);
+    if (accepted.length === 0) return;
+    importData({ ...ocrRowsToData(accepted), capturedAt: ocrCapturedAt });
+  };
+
+  const openRulesModal = () => {
+    setDraftRules(rules.map(rule => ({ ...rule })));
+    setRuleTestText('');
+    setShowRulesModal(true);
+  };
+
+  const updateDraftRule = (index, changes) => {
+    setDraftRules(draft => draft.map((rule, i) => i === index ? { ...rule, ...changes } : rule));
+  };
+
+  const moveDraftRule = (index, offset) => {
+    setDraftRules(draft => {
+      const target = index + offset;
+      if (target < 0 || target >= draft.length) return draft;
+      const next = [...draft];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  // re-run the rules over every stored receipt's raw text and persist what changed
+  const handleReclassify = async (withRules) => {
+    const { receipts: reclassified, changed, skipped } = reclassifyReceipts(receipts, withRules);
+    const kept = skipped.length > 0 ? ` (${skipped.length} corrected by hand left as they were)` : '';
+    if (changed.length === 0) {
+      alert(`no receipts changed${kept}`);
+      return;
+    }
+
+    const updated = assignReceiptIds(reclassified);
+    setReceipts(updated);
+    setIsLoading(true);
+    try {
+      await syncReceipts(receipts, updated);
+      alert(`reclassified ${changed.length} receipts${kept}`);
+    } catch (e) {
+      console.error('failed to save reclassified receipts:', e);
+      alert('failed to save reclassified receipts: ' + e.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // a corrected clout moves a receipt to a new fingerprint id, other fixes keep
+  // it; saved in the background so the table keeps its place
+  const replaceReceipts = (newReceipts) => {
+    const updated = assignReceiptIds(newReceipts);
+    setReceipts(updated);
+    syncReceipts(receipts, updated).catch(e => {
+      console.error('failed to save receipt changes:', e);
+      alert('failed to save receipt changes: ' + e.message);
+    });
+  };
+
+  const handleReceiptEdit = (receipt, changes) => {
+    if (Object.keys(changes).every(key => changes[key] === receipt[key])) return;
+    // marked so reclassifying under new rules doesn't undo the correction
+    const edited = { ...receipt, ...changes, edited: true };
+    // the page still shows the receipt as it was
+    if (receiptFingerprint(edited) !== receiptFingerprint(receipt)) {
+      saveTombstones(buryReceipt(receiptTombstones, receipt));
+    }
+    replaceReceipts(receipts.map(r => r.id === receipt.id ? edited : r));
+  };
+
+  const handleReceiptDelete = (receipt) => {
+    if (!confirm(`delete this receipt?\n\n${receipt.raw || receipt.action}`)) return;
+    saveTombstones(buryReceipt(receiptTombstones, receipt));
+    replaceReceipts(receipts.filter(r => r.id !== receipt.id));
+  };
+
+  const handleSaveRules = async (reclassify) => {
+    const cleaned = draftRules.map(cleanRule);
+    await saveRules(cleaned);
+    setShowRulesModal(false);
+    if (reclassify) {
+      await handleReclassify(cleaned);
+    }
+  };
+
+  const handleClear = async () => {
+    if (!confirm('are you sure? this will delete ALL your receipts')) return;
+    
     console.log('clear started');
     
     // clear ui immediately
     setReceipts([]);
     setBounties({});
     setUntaggedBounties([]);
+    setAnomalies([]);
+    saveTombstones({});
     
     localStorage.removeItem('receipt_data');
     localStorage.removeItem('bounty_data');
@@ -766,224 +1300,220 @@ function ReceiptAnalytics() {
     }
   };
 
+  const saveBounties = async (newBounties, newUntagged = untaggedBounties) => {
+    setBounties(newBounties);
+    setUntaggedBounties(newUntagged);
+    await saveToStorage(receipts, newBounties, newUntagged);
+  };
+
+  // move untagged bounties onto concepts. assignments are { index, concept }
+  // with index into untaggedBounties
+  const assignBounties = async (assignments) => {
+    const tagged = withBountiesTagged(bounties, untaggedBounties, assignments);
+    await saveBounties(tagged.bounties, tagged.untagged);
+  };
+
+  // tagged bounties are addressed by concept and position in that concept's list
+  const reassignBounty = async (concept, index, newConcept) => {
+    if (newConcept === concept) return;
+    await saveBounties(withBountyMoved(bounties, concept, index, newConcept));
+  };
+
+  const untagBounty = async (concept, index) => {
+    const untagged = withBountyUntagged(bounties, untaggedBounties, concept, index);
+    await saveBounties(untagged.bounties, untagged.untagged);
+  };
+
+  const updateBountyAmount = async (concept, index, amount) => {
+    if (!(amount > 0) || amount === bounties[concept][index].amount) return;
+    await saveBounties({
+      ...bounties,
+      [concept]: bounties[concept].map((bounty, i) => i === index ? { ...bounty, amount } : bounty)
+    });
+  };
+
+  const deleteBounty = async (concept, index) => {
+    if (!confirm(`delete this ${bounties[concept][index].amount}¢ bounty on ${concept}?`)) return;
+    await saveBounties(withoutBounty(bounties, concept, index));
+  };
+
   const handleAddBounty = async () => {
     if (!selectedConcept || !selectedBounty) return;
     
-    let conceptBounties = bounties[selectedConcept] || [];
-    if (!Array.isArray(conceptBounties)) {
-      conceptBounties = [];
-    }
-    
-    conceptBounties.push({
-      amount: selectedBounty.clout,
-      date: selectedBounty.date
-    });
-    
-    const newBounties = { 
-      ...bounties, 
-      [selectedConcept]: conceptBounties
-    };
-    setBounties(newBounties);
-    
-    const remaining = untaggedBounties.filter((_, i) => i !== selectedBounty.index);
-    setUntaggedBounties(remaining);
-    
-    await saveToStorage(receipts, newBounties, remaining);
+    await assignBounties([{ index: selectedBounty.index, concept: selectedConcept }]);
     
     setShowBountyModal(false);
     setSelectedConcept('');
     setSelectedBounty(null);
   };
 
-  const parseReceiptDate = (dateStr) => {
-    try {
-      const match = dateStr.match(/(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+(\d+)\s+(\d+):(\d+)\s+(AM|PM)/);
-      if (!match) return null;
-      
-      const monthMap = {Jan:0,Feb:1,Mar:2,Apr:3,May:4,Jun:5,Jul:6,Aug:7,Sep:8,Oct:9,Nov:10,Dec:11};
-      const month = monthMap[match[1]];
-      const day = parseInt(match[2]);
-      let hour = parseInt(match[3]);
-      const minute = parseInt(match[4]);
-      const isPM = match[5] === 'PM';
-      
-      if (isPM && hour !== 12) hour += 12;
-      if (!isPM && hour === 12) hour = 0;
-      
-      const now = new Date();
-      const date = new Date(now.getFullYear(), month, day, hour, minute);
-      
-      if (date > now) {
-        date.setFullYear(now.getFullYear() - 1);
-      }
-      
-      return date;
-    } catch {
-      return null;
-    }
-  };
-
-  const filteredReceipts = timeFilter === '24h' 
-    ? receipts.filter(r => {
-        const receiptDate = parseReceiptDate(r.date);
-        if (!receiptDate) return false; // exclude if we can't parse the date
-        const now = new Date();
-        const hoursDiff = (now - receiptDate) / (1000 * 60 * 60);
-        return hoursDiff <= 24 && hoursDiff >= 0;
-      })
-    : receipts;
+  // now only moves once a minute, so the views memoized below are worked out
+  // again when the receipts, bounties or filter change rather than every render
+  const minute = Math.floor(Date.now() / 60000);
+  const now = useMemo(() => new Date(minute * 60000), [minute]);
+  const filteredReceipts = useMemo(
+    () => analytics.filterReceipts(receipts, timeFilter, now, customRange),
+    [receipts, timeFilter, now, customRange]
+  );
 
+  // the chosen range where it has an end, otherwise the data's own first/last day
   const getDateRange = () => {
-    if (filteredReceipts.length === 0) return '';
-    const dates = filteredReceipts.map(r => parseReceiptDate(r.date)).filter(d => d);
-    
-    if (dates.length === 0) return '';
-    const oldest = new Date(Math.min(...dates));
-    const newest = new Date(Math.max(...dates));
+    const bounds = analytics.timeRangeBounds(timeFilter, now, customRange);
+    const range = analytics.getDateRange(filteredReceipts);
+    const oldest = bounds?.start || range?.oldest;
+    const newest = bounds?.end || range?.newest;
+    if (!oldest || !newest) return '';
     return `${oldest.toLocaleDateString()} - ${newest.toLocaleDateString()}`;
   };
 
-  const totalClout = filteredReceipts.reduce((sum, r) => sum + (r.clout || 0), 0);
-  const avgClout = filteredReceipts.length ? (totalClout / filteredReceipts.length).toFixed(1) : 0;
-  
-  const conceptStats = filteredReceipts.reduce((acc, r) => {
-    if (r.concept) {
-      acc[r.concept] = (acc[r.concept] || 0) + (r.clout || 0);
-    }
-    return acc;
-  }, {});
-  
-  const conceptData = Object.entries(conceptStats)
-    .map(([name, clout]) => {
-      const conceptBounties = Array.isArray(bounties[name]) ? bounties[name] : [];
-      
-      const bountyWindows = conceptBounties.map(bounty => {
-        const bountyDate = parseReceiptDate(bounty.date);
-        if (!bountyDate) return { amount: bounty.amount, earned: 0, roi: -100 };
-        
-        const windowEnd = new Date(bountyDate.getTime() + 24 * 60 * 60 * 1000);
-        
-        const windowEarnings = filteredReceipts
-          .filter(r => {
-            if (r.concept !== name) return false;
-            const receiptDate = parseReceiptDate(r.date);
-            if (!receiptDate) return false;
-            return receiptDate >= bountyDate && receiptDate <= windowEnd;
-          })
-          .reduce((sum, r) => sum + (r.clout || 0), 0);
-        
-        const roi = bounty.amount > 0 ? (((windowEarnings - bounty.amount) / bounty.amount) * 100).toFixed(0) : 0;
-        
-        return {
-          amount: bounty.amount,
-          date: bounty.date,
-          earned: windowEarnings,
-          roi: parseInt(roi)
-        };
-      });
-      
-      const totalBountyCost = conceptBounties.reduce((sum, b) => sum + b.amount, 0);
-      const totalBountyEarnings = bountyWindows.reduce((sum, w) => sum + w.earned, 0);
-      const netIncome = clout - totalBountyCost;
-      const avgRoi = bountyWindows.length > 0 
-        ? Math.round(bountyWindows.reduce((sum, w) => sum + w.roi, 0) / bountyWindows.length)
-        : 0;
-      
-      const uses = filteredReceipts.filter(r => r.concept === name).length;
-      const paidUses = filteredReceipts.filter(r => r.concept === name && (r.clout || 0) > 0).length;
-      const freeUses = uses - paidUses;
-      const avgPerUse = uses > 0 ? (clout / uses).toFixed(1) : 0;
-      
-      return { 
-        name, 
-        clout, 
-        bountyCost: totalBountyCost,
-        bountyEarnings: totalBountyEarnings,
-        bountyWindows,
-        netIncome,
-        avgRoi,
-        uses,
-        paidUses,
-        freeUses,
-        avgPerUse,
-        profitable: netIncome > 0
-      };
-    })
-    .sort((a, b) => b.netIncome - a.netIncome);
+  const totalClout = analytics.totalClout(filteredReceipts);
+  const avgClout = analytics.avgClout(filteredReceipts);
   
-  const userStats = filteredReceipts.reduce((acc, r) => {
-    if (r.user !== 'you') {
-      acc[r.user] = (acc[r.user] || 0) + 1;
-    }
-    return acc;
-  }, {});
+  const conceptData = useMemo(
+    () => analytics.conceptData({ receipts: filteredReceipts, bounties }, now, attribution),
+    [filteredReceipts, bounties, now, attribution]
+  );
+
+  // likely concepts for each untagged bounty, from every receipt whatever the time filter
+  const bountySuggestions = showBountyModal
+    ? untaggedBounties.map(bounty => analytics.suggestBountyConcepts(bounty, receipts, now, attribution.windowHours))
+    : [];
+  const allConcepts = Object.keys(analytics.conceptStats(receipts)).sort();
+
+  const conceptView = drilldownConcept
+    ? analytics.conceptDetail({ receipts: filteredReceipts, bounties }, drilldownConcept, now, attribution)
+    : null;
+  const conceptViewSummary = conceptData.find(c => c.name === drilldownConcept);
+
+  // a fan's whole history, whatever the time filter
+  const profile = profileUser ? analytics.userProfile(receipts, profileUser, now) : null;
+
+  // the planner learns from every receipt, not just the filtered range
+  const plannerHistory = useMemo(
+    () => showPlanner
+      ? {
+        concepts: analytics.conceptData({ receipts, bounties }, now, attribution),
+        hourlyEarnings: analytics.timeOfDayStats(receipts)
+      }
+      : null,
+    [showPlanner, receipts, bounties, now, attribution]
+  );
+  const bountyPlan = plannerHistory && plannerInput.concept && plannerInput.amount > 0
+    ? analytics.planBounty({ ...plannerHistory, ...plannerInput })
+    : null;
+
+  // every tagged bounty, newest first
+  const taggedBounties = Object.entries(bounties)
+    .flatMap(([concept, list]) => Array.isArray(list) ? list.map((bounty, index) => ({ ...bounty, concept, index })) : [])
+    .sort((a, b) => (analytics.receiptTime(b, now) || 0) - (analytics.receiptTime(a, now) || 0));
+
+  const handleAcceptSuggestions = async () => {
+    const assignments = bountySuggestions
+      .map((suggestions, index) => suggestions.length > 0 ? { index, concept: suggestions[0].name } : null)
+      .filter(Boolean);
+    if (assignments.length === 0) return;
+    
+    await assignBounties(assignments);
+    setSelectedConcept('');
+    setSelectedBounty(null);
+    alert(`tagged ${assignments.length} bounties${assignments.length < untaggedBounties.length ? ` - ${untaggedBounties.length - assignments.length} had no suggestion` : ''}`);
+  };
   
-  const topUsers = Object.entries(userStats)
-    .map(([name, count]) => ({ name, count }))
-    .sort((a, b) => b.count - a.count)
-    .slice(0, 10);
-
-  const userValueStats = filteredReceipts.reduce((acc, r) => {
-    if (r.user !== 'you') {
-      acc[r.user] = (acc[r.user] || 0) + (r.clout || 0);
-    }
-    return acc;
-  }, {});
+  const userStats = analytics.userStats(filteredReceipts);
+  const topUsers = analytics.topEntries(userStats, 'count');
 
-  const topValueUsers = Object.entries(userValueStats)
-    .map(([name, clout]) => ({ name, clout }))
-    .sort((a, b) => b.clout - a.clout)
-    .slice(0, 10);
+  const userValueStats = analytics.userValueStats(filteredReceipts);
+  const topValueUsers = analytics.topEntries(userValueStats, 'clout');
+  // who tips whom is a long-run thing, so it looks at every receipt
+  const relationships = useMemo(() => analytics.tipRelationships(receipts, now), [receipts, now]);
+  const shownRelationships = relationshipFilter === 'all'
+    ? relationships
+    : relationships.filter(person => person[relationshipFilter]);
   
-  const actionStats = filteredReceipts.reduce((acc, r) => {
-    acc[r.action] = (acc[r.action] || 0) + 1;
-    return acc;
-  }, {});
+  // the same-length period before the chosen range, for the deltas
+  const previousBounds = useMemo(
+    () => analytics.previousRangeBounds(timeFilter, now, customRange),
+    [timeFilter, now, customRange]
+  );
+  const previousReceipts = useMemo(
+    () => previousBounds ? analytics.receiptsInRange(receipts, previousBounds, now) : null,
+    [receipts, previousBounds, now]
+  );
+  const previousConceptData = useMemo(
+    () => previousReceipts && analytics.conceptData({ receipts: previousReceipts, bounties }, now, attribution),
+    [previousReceipts, bounties, now, attribution]
+  );
+  const comparison = previousReceipts && {
+    totalClout: analytics.compareValues(totalClout, analytics.totalClout(previousReceipts)),
+    avgClout: analytics.compareValues(Number(avgClout), Number(analytics.avgClout(previousReceipts))),
+    actions: analytics.compareValues(filteredReceipts.length, previousReceipts.length),
+    users: analytics.compareValues(Object.keys(userStats).length, Object.keys(analytics.userStats(previousReceipts)).length),
+    concepts: analytics.conceptTrends(conceptData, previousConceptData),
+    userStats: analytics.userStats(previousReceipts),
+    userValueStats: analytics.userValueStats(previousReceipts)
+  };
+  // concepts that earned last period but nothing in this one have no card to flag
+  const quietConcepts = comparison
+    ? Object.entries(comparison.concepts).filter(([name, trend]) => trend.trend === 'down' && !conceptData.some(c => c.name === name))
+    : [];
+
+  const actionStats = analytics.actionStats(filteredReceipts);
   
   const actionData = Object.entries(actionStats)
     .map(([name, value]) => ({ name, value }));
 
-  const timeOfDayStats = filteredReceipts
-    .filter(r => ['like', 'tip'].includes(r.action))
-    .reduce((acc, r) => {
-      try {
-        const timeMatch = r.date.match(/(\d+):(\d+)\s+(AM|PM)/);
-        if (timeMatch) {
-          let hour = parseInt(timeMatch[1]);
-          const isPM = timeMatch[3] === 'PM';
-          if (isPM && hour !== 12) hour += 12;
-          if (!isPM && hour === 12) hour = 0;
-          acc[hour] = (acc[hour] || 0) + (r.clout || 0);
-        }
-      } catch {}
-      return acc;
-    }, {});
-
-  const timeOfDayData = Object.entries(timeOfDayStats)
-    .map(([hour, clout]) => ({
-      hour: `${hour}:00`,
-      clout
-    }))
-    .sort((a, b) => parseInt(a.hour) - parseInt(b.hour));
+  const heatmap = useMemo(() => analytics.postingHeatmap(filteredReceipts, now), [filteredReceipts, now]);
+  const heatmapSlots = heatmap.flat();
+  const heatmapMax = Math.max(0, ...heatmapSlots.filter(slot => slot.reliable).map(slot => slot[heatmapMetric].mean));
+  const bestHours = analytics.bestPostingHours(heatmap).slice(0, 3);
   
-  const cloutFlow = filteredReceipts
-    .slice()
-    .reverse()
-    .reduce((acc, r, i) => {
-      const prev = acc[i - 1]?.total || 0;
-      acc.push({ 
-        index: i, 
-        clout: r.clout || 0,
-        total: prev + (r.clout || 0),
-        label: `${i}`
-      });
-      return acc;
-    }, []);
+  const cloutFlow = analytics.cloutFlow(filteredReceipts, flowBucket, now);
+
+  // the ledger balance carries in everything before the selected range, and is
+  // absolute once a known balance fixes where it started
+  const reconciliation = analytics.reconcileBalance(receipts, balanceCheckpoints, now);
+  const rangeBounds = analytics.timeRangeBounds(timeFilter, now, customRange);
+  const carriedIn = rangeBounds?.start
+    ? analytics.totalClout(analytics.receiptsInRange(receipts, { start: null, end: new Date(rangeBounds.start - 1) }, now))
+    : 0;
+  const ledgerRows = analytics.ledger(filteredReceipts, ledgerBucket, now, (reconciliation.opening ?? 0) + carriedIn);
+  const ledgerSummary = analytics.ledgerTotals(ledgerRows);
+  const ledgerGaps = analytics.receiptGaps(filteredReceipts, now);
+  const incomeCategories = Object.keys(ledgerSummary.income);
+  const spendingCategories = Object.keys(ledgerSummary.spending);
+  const draftReport = analytics.draftEfficiency(filteredReceipts, ledgerBucket, now);
+  // streaks are about today, so they ignore the time filter
+  const streaks = useMemo(() => analytics.dailyStreaks(receipts, now), [receipts, now]);
+
+  // so does the forecast, which wants all the history it can get
+  const earningsForecast = useMemo(() => analytics.forecast(receipts, now), [receipts, now]);
+  const currentBalance = reconciliation.opening !== null
+    ? reconciliation.opening + analytics.totalClout(analytics.receiptsInRange(receipts, {}, now))
+    : null;
+  // tagged bounty purchases within the plotted span, drawn at the start of their
+  // bucket - the last bucket runs to its end, past the axis's last point
+  const flowBounties = cloutFlow.length > 0
+    ? taggedBounties
+      .map(bounty => ({ ...bounty, time: analytics.receiptTime(bounty, now) }))
+      .filter(bounty => bounty.time && bounty.time.getTime() >= cloutFlow[0].time && bounty.time.getTime() < cloutFlow.at(-1).end)
+      .map(bounty => ({ ...bounty, bucket: cloutFlow.find(point => bounty.time.getTime() < point.end).time }))
+    : [];
+
+  // the receipts behind the anomaly being looked at, as they are now
+  const anomalyReceipts = useMemo(() => {
+    if (!anomalyView) return [];
+    const ids = new Set(anomalyView.receipts.map(receipt => receipt.id));
+    return receipts.filter(receipt => ids.has(receipt.id));
+  }, [anomalyView, receipts]);
 
   if (authLoading || (isLoading && deleteProgress.total === 0)) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-gray-900 via-green-900 to-gray-900 flex items-center justify-center">
-        <div className="text-green-400 text-xl">loading...</div>
+        <div className="text-green-400 text-xl">
+          {ocrProgress.total > 0
+            ? `reading screenshot ${Math.min(ocrProgress.current + 1, ocrProgress.total)}/${ocrProgress.total}...`
+            : 'loading...'}
+        </div>
       </div>
     );
   }
@@ -1077,23 +1607,44 @@ function ReceiptAnalytics() {
             </p>
             {receipts.length > 0 && (
               <>
-                <div className="flex gap-2">
-                  <button
-                    onClick={() => setTimeFilter('all')}
-                    className={`px-4 py-1 rounded ${timeFilter === 'all' ? 'bg-green-600' : 'bg-gray-700'} text-white text-sm transition-colors`}
-                  >
-                    all time
-                  </button>
-                  <button
-                    onClick={() => setTimeFilter('24h')}
-                    className={`px-4 py-1 rounded ${timeFilter === '24h' ? 'bg-green-600' : 'bg-gray-700'} text-white text-sm transition-colors`}
-                  >
-                    last 24h
-                  </button>
+                <div className="flex gap-2 flex-wrap">
+                  {TIME_FILTERS.map(({ key, label }) => (
+                    <button
+                      key={key}
+                      onClick={() => setTimeFilter(key)}
+                      className={`px-4 py-1 rounded ${timeFilter === key ? 'bg-green-600' : 'bg-gray-700'} text-white text-sm transition-colors`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                {timeFilter === 'custom' && (
+                  <div className="flex items-center gap-2 text-sm">
+                    <input
+                      type="date"
+                      value={customRange.start}
+                      max={customRange.end || undefined}
+                      onChange={(e) => setCustomRange({ ...customRange, start: e.target.value })}
+                      className="bg-gray-900 text-white border border-gray-700 rounded px-2 py-1"
+                    />
+                    <span className="text-gray-500">to</span>
+                    <input
+                      type="date"
+                      value={customRange.end}
+                      min={customRange.start || undefined}
+                      onChange={(e) => setCustomRange({ ...customRange, end: e.target.value })}
+                      className="bg-gray-900 text-white border border-gray-700 rounded px-2 py-1"
+                    />
+                  </div>
+                )}
+                <div className="text-gray-500 text-sm ml-auto text-right">
+                  <p>{getDateRange()}</p>
+                  {previousBounds && (
+                    <p className="text-xs">
+                      compared with {previousBounds.start.toLocaleDateString()} - {previousBounds.end.toLocaleDateString()}
+                    </p>
+                  )}
                 </div>
-                <p className="text-gray-500 text-sm ml-auto">
-                  {getDateRange()}
-                </p>
               </>
             )}
           </div>
@@ -1127,6 +1678,30 @@ function ReceiptAnalytics() {
               >
                 paste receipt data
               </button>
+              <p className="text-gray-500 text-sm">
+                or{' '}
+                <label className="text-blue-400 hover:text-blue-300 cursor-pointer">
+                  upload a saved activity page
+                  <input
+                    type="file"
+                    accept=".html,.htm,text/html"
+                    multiple
+                    onChange={handleHtmlUpload}
+                    className="hidden"
+                  />
+                </label>
+                {' '}or{' '}
+                <label className="text-blue-400 hover:text-blue-300 cursor-pointer">
+                  screenshots of your activity feed
+                  <input
+                    type="file"
+                    accept="image/*"
+                    multiple
+                    onChange={handleScreenshotUpload}
+                    className="hidden"
+                  />
+                </label>
+              </p>
             </div>
             
             <details className="max-w-2xl mx-auto">
@@ -1144,7 +1719,7 @@ function ReceiptAnalytics() {
                       <p className="text-gray-300 mb-2">Create a bookmark with this code as the url:</p>
                       <div className="bg-black rounded p-3 overflow-x-auto">
                         <code className="text-green-400 text-xs break-all">
-                          javascript:(function()&#123;const receipts=[];let bounties=[];document.querySelectorAll('div.flex.items-center.px-2').forEach(el=&#62;&#123;const cloutEl=el.querySelector('.text-green-500, .text-red-500, [class*="text-green"], [class*="text-red"]');const clout=cloutEl?parseInt(cloutEl.textContent.replace(/[^\d-]/g,'')):0;const dateEl=el.querySelector('.opacity-60');const date=dateEl?dateEl.textContent.trim():'';const contentEl=el.querySelector('.flex-1.min-w-0');const content=contentEl?contentEl.textContent.trim():'';if(!date||!content)return;let user='you';let concept=null;let action='unknown';if(content.includes('You created a new bounty'))&#123;bounties.push(&#123;clout:Math.abs(clout),date&#125;);action='bounty';&#125;else if(content.includes('daily concept bounty'))&#123;action='daily_bounty';&#125;else if(content.includes('daily sign-in bonus'))&#123;action='daily_signin';&#125;else if(content.includes('You generated a new post draft'))&#123;action='draft_cost';&#125;else if(content.includes('You received a tip from'))&#123;const tipMatch=content.match(/tip from\s+(.+?)\s+for/);user=tipMatch?tipMatch[1]:'unknown';action='tip';&#125;else if(content.includes('You tipped'))&#123;const tipMatch=content.match(/You tipped\s+(.+?)\s+for/);user=tipMatch?tipMatch[1]:'unknown';action='tip_sent';&#125;else if(content.includes('liked your post')||content.includes('liked your song'))&#123;const likeMatch=content.match(/^(.+?)\s+liked/);user=likeMatch?likeMatch[1]:'unknown';action='like';&#125;else if(content.includes('You liked your own'))&#123;action='self_like';&#125;else if(content.includes('listened to your song'))&#123;const listenMatch=content.match(/^(.+?)\s+listened/);user=listenMatch?listenMatch[1]:'unknown';action='listen';&#125;else if(content.includes('replied to your post'))&#123;const replyMatch=content.match(/^(.+?)\s+replied/);user=replyMatch?replyMatch[1]:'unknown';action='reply';&#125;else if(content.includes('used your concept'))&#123;const userMatch=content.match(/^(.+?)\s+used your concept/);user=userMatch?userMatch[1]:'unknown';const conceptMatch=content.match(/concept\s+[^\w\s]*(.+?)\s+to\s+(create|generate)/i);concept=conceptMatch?conceptMatch[1].trim():null;action=conceptMatch?conceptMatch[2]:'use';&#125;receipts.push(&#123;user:user.trim(),action,concept,clout,date,raw:content&#125;);&#125;);const data=&#123;receipts,bounties&#125;;navigator.clipboard.writeText(JSON.stringify(data)).then(()=&#62;alert`Copied $&#123;receipts.length&#125; receipts ($&#123;bounties.length&#125; bounties need tagging)! Paste into dashboard.`);&#125;)();
+                          {buildBookmarklet(rules)}
                         </code>
                       </div>
                     </div>
@@ -1204,21 +1779,55 @@ function ReceiptAnalytics() {
                 <p className={`text-3xl font-bold ${totalClout >= 0 ? 'text-green-400' : 'text-red-400'}`}>
                   {totalClout > 0 ? '+' : ''}{totalClout}¢
                 </p>
+                <Delta comparison={comparison?.totalClout} unit="¢" />
               </div>
               <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
                 <p className="text-gray-400 text-sm mb-1">avg per action</p>
                 <p className="text-3xl font-bold text-blue-400">{avgClout}¢</p>
+                <Delta comparison={comparison?.avgClout} unit="¢" decimals={1} />
               </div>
               <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
                 <p className="text-gray-400 text-sm mb-1">total actions</p>
                 <p className="text-3xl font-bold text-purple-400">{filteredReceipts.length}</p>
+                <Delta comparison={comparison?.actions} />
               </div>
               <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
                 <p className="text-gray-400 text-sm mb-1">unique users</p>
                 <p className="text-3xl font-bold text-yellow-400">{Object.keys(userStats).length}</p>
+                <Delta comparison={comparison?.users} />
               </div>
             </div>
 
+            {anomalies.length > 0 && (
+              <div className="bg-gray-800 rounded-lg p-6 border border-yellow-700 mb-8">
+                <div className="flex justify-between items-center mb-4">
+                  <h2 className="text-xl font-bold text-yellow-400">what changed</h2>
+                  <button
+                    onClick={() => setAnomalies([])}
+                    className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm transition-colors"
+                  >
+                    dismiss all
+                  </button>
+                </div>
+                <div className="space-y-2">
+                  {anomalies.map(finding => (
+                    <div key={finding.id} className="flex items-center justify-between gap-4 bg-gray-900 rounded px-3 py-2 text-sm">
+                      <button onClick={() => setAnomalyView(finding)} className="text-left text-gray-300 hover:text-green-400">
+                        {describeAnomaly(finding)}
+                      </button>
+                      <button
+                        onClick={() => setAnomalies(anomalies.filter(other => other.id !== finding.id))}
+                        className="text-gray-500 hover:text-white"
+                        title="dismiss"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             <div className="flex gap-2 mb-6 border-b border-gray-700">
               <button
                 onClick={() => setActiveTab('concepts')}
@@ -1240,157 +1849,905 @@ function ReceiptAnalytics() {
               >
                 analytics
               </button>
+              <button
+                onClick={() => setActiveTab('ledger')}
+                className={`px-6 py-3 font-medium transition-colors ${
+                  activeTab === 'ledger' 
+                    ? 'text-green-400 border-b-2 border-green-400' 
+                    : 'text-gray-400 hover:text-gray-300'
+                }`}
+              >
+                ledger
+              </button>
+              <button
+                onClick={() => setActiveTab('receipts')}
+                className={`px-6 py-3 font-medium transition-colors ${
+                  activeTab === 'receipts' 
+                    ? 'text-green-400 border-b-2 border-green-400' 
+                    : 'text-gray-400 hover:text-gray-300'
+                }`}
+              >
+                receipts
+              </button>
             </div>
 
-            {activeTab === 'concepts' && conceptData.length > 0 && (
-              <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-8">
-                <div className="flex justify-between items-center mb-4">
-                  <h2 className="text-xl font-bold text-green-400">concept performance</h2>
-                  {untaggedBounties.length > 0 && (
-                    <div className="flex gap-2">
-                      <span className="px-3 py-1 bg-yellow-900 text-yellow-300 rounded text-sm">
-                        {untaggedBounties.length} untagged bounties
-                      </span>
+            {activeTab === 'ledger' && (
+              <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-8 space-y-8">
+                <div className="flex justify-between items-center flex-wrap gap-2">
+                  <h2 className="text-xl font-bold text-green-400">income vs spending</h2>
+                  <div className="flex gap-2">
+                    {LEDGER_BUCKETS.map(bucket => (
                       <button
-                        onClick={() => setShowBountyModal(true)}
-                        className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm transition-colors"
+                        key={bucket}
+                        onClick={() => setLedgerBucket(bucket)}
+                        className={`px-3 py-1 rounded text-sm transition-colors ${
+                          ledgerBucket === bucket
+                            ? 'bg-green-600 text-white'
+                            : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                        }`}
                       >
-                        tag bounties
+                        by {bucket}
                       </button>
-                    </div>
-                  )}
+                    ))}
+                  </div>
                 </div>
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                  {conceptData.map((concept, i) => (
-                    <div key={i} className="bg-gray-900 rounded-lg p-4 border border-gray-700">
-                      <div className="flex items-center gap-2 mb-3">
-                        <span className="text-lg">💡</span>
-                        <h3 className="font-bold text-white truncate">{concept.name}</h3>
-                      </div>
-                      
-                      <div className="space-y-2 text-sm">
-                        <div className="flex justify-between">
-                          <span className="text-gray-400">total income</span>
-                          <span className="text-green-400 font-bold">{concept.clout}¢</span>
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  <div className="bg-gray-900 rounded-lg p-4">
+                    <p className="text-gray-400 text-sm">income</p>
+                    <p className="text-2xl font-bold text-green-400">{ledgerSummary.incomeTotal}¢</p>
+                  </div>
+                  <div className="bg-gray-900 rounded-lg p-4">
+                    <p className="text-gray-400 text-sm">spending</p>
+                    <p className="text-2xl font-bold text-red-400">{ledgerSummary.spendingTotal}¢</p>
+                  </div>
+                  <div className="bg-gray-900 rounded-lg p-4">
+                    <p className="text-gray-400 text-sm">net</p>
+                    <p className={`text-2xl font-bold ${ledgerSummary.net >= 0 ? 'text-green-400' : 'text-red-400'}`}>{ledgerSummary.net}¢</p>
+                  </div>
+                  <div className="bg-gray-900 rounded-lg p-4">
+                    <p className="text-gray-400 text-sm">{reconciliation.opening === null ? 'running net' : 'balance'}</p>
+                    <p className="text-2xl font-bold text-white">{ledgerRows.length > 0 ? `${ledgerRows.at(-1).balance}¢` : '-'}</p>
+                  </div>
+                </div>
+
+                {ledgerRows.length > 0 && (
+                  <>
+                    <div>
+                      <h3 className="text-lg font-bold text-green-400 mb-4">by category per {ledgerBucket}</h3>
+                      <ResponsiveContainer width="100%" height={300}>
+                        <BarChart data={ledgerRows} stackOffset="sign">
+                          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                          <XAxis dataKey="time" tickFormatter={(time) => formatBucket(time, ledgerBucket)} stroke="#9ca3af" />
+                          <YAxis stroke="#9ca3af" />
+                          <Tooltip
+                            contentStyle={CHART_TOOLTIP_STYLE}
+                            itemStyle={{ color: '#fff' }}
+                            labelFormatter={(time) => formatBucket(time, ledgerBucket)}
+                          />
+                          <Legend />
+                          {incomeCategories.map((category, i) => (
+                            <Bar key={`income-${category}`} name={category} dataKey={(row) => row.income[category] || 0} stackId="ledger" fill={INCOME_COLORS[i % INCOME_COLORS.length]} />
+                          ))}
+                          {spendingCategories.map((category, i) => (
+                            <Bar key={`spending-${category}`} name={category} dataKey={(row) => -(row.spending[category] || 0)} stackId="ledger" fill={SPENDING_COLORS[i % SPENDING_COLORS.length]} />
+                          ))}
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+
+                    <div>
+                      <h3 className="text-lg font-bold text-green-400 mb-4">{reconciliation.opening === null ? 'running net' : 'balance'}</h3>
+                      <ResponsiveContainer width="100%" height={220}>
+                        <LineChart data={ledgerRows}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                          <XAxis dataKey="time" tickFormatter={(time) => formatBucket(time, ledgerBucket)} stroke="#9ca3af" />
+                          <YAxis stroke="#9ca3af" />
+                          <Tooltip
+                            contentStyle={CHART_TOOLTIP_STYLE}
+                            itemStyle={{ color: '#fff' }}
+                            labelFormatter={(time) => formatBucket(time, ledgerBucket)}
+                          />
+                          <Line type="monotone" dataKey="balance" stroke="#10b981" strokeWidth={2} dot={false} />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+                      {[['income', incomeCategories, 'text-green-400'], ['spending', spendingCategories, 'text-red-400']].map(([side, categories, color]) => (
+                        <div key={side}>
+                          <h3 className="text-lg font-bold text-green-400 mb-4">{side} by category</h3>
+                          <div className="space-y-2">
+                            {categories
+                              .slice()
+                              .sort((a, b) => ledgerSummary[side][b] - ledgerSummary[side][a])
+                              .map(category => (
+                                <div key={category} className="flex justify-between text-sm">
+                                  <span className="text-gray-300">{category}</span>
+                                  <span className={`font-bold ${color}`}>{ledgerSummary[side][category]}¢</span>
+                                </div>
+                              ))}
+                          </div>
                         </div>
-                        
-                        {concept.bountyWindows.length > 0 && (
-                          <div className="border border-gray-700 rounded p-2 space-y-1">
-                            <div className="flex justify-between text-xs">
-                              <span className="text-gray-400">💰 total bounty cost</span>
-                              <span className="text-gray-300">{concept.bountyCost}¢</span>
-                            </div>
-                            <div className="flex justify-between text-xs">
-                              <span className="text-gray-400">📈 24h window earnings</span>
-                              <span className="text-blue-400">{concept.bountyEarnings}¢</span>
+                      ))}
+                    </div>
+                  </>
+                )}
+
+                {Object.values(streaks).some(streak => streak.claimed > 0) && (
+                  <div>
+                    <h3 className="text-lg font-bold text-green-400 mb-4">daily streaks</h3>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+                      {analytics.DAILY_ACTIONS.filter(action => streaks[action].claimed > 0).map(action => {
+                        const streak = streaks[action];
+                        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+                        return (
+                          <div key={action} className="bg-gray-900 rounded-lg p-4">
+                            <h4 className="text-white font-bold mb-3">{DAILY_LABELS[action]}</h4>
+                            <div className="grid grid-cols-3 gap-2 text-sm mb-4">
+                              <div>
+                                <p className="text-gray-400">current</p>
+                                <p className="text-xl font-bold text-green-400">{streak.current}d</p>
+                              </div>
+                              <div>
+                                <p className="text-gray-400">longest</p>
+                                <p className="text-xl font-bold text-white">{streak.longest}d</p>
+                              </div>
+                              <div>
+                                <p className="text-gray-400">collected</p>
+                                <p className="text-xl font-bold text-green-400">{streak.total}¢</p>
+                              </div>
                             </div>
-                            <div className="flex justify-between text-xs font-bold">
-                              <span className="text-gray-400">avg bounty roi</span>
-                              <span className={concept.avgRoi >= 0 ? 'text-green-400' : 'text-red-400'}>
-                                {concept.avgRoi}%
-                              </span>
+                            <div className="grid grid-cols-7 gap-1 text-xs mb-3">
+                              {WEEKDAYS.map(day => (
+                                <span key={day} className="text-gray-500 text-center">{day[0]}</span>
+                              ))}
+                              {Array.from({ length: new Date(streak.days[0].day).getDay() }, (_, i) => (
+                                <span key={`blank-${i}`}></span>
+                              ))}
+                              {streak.days.map(day => (
+                                <div
+                                  key={day.day}
+                                  className={`h-6 rounded-sm flex items-center justify-center ${
+                                    day.claimed ? 'bg-green-600 text-white' : day.day === today ? 'bg-gray-700 text-gray-300' : 'bg-red-800 text-red-200'
+                                  }`}
+                                  title={`${new Date(day.day).toLocaleDateString()}: ${day.claimed ? `claimed ${day.clout}¢` : day.day === today ? 'not claimed yet' : 'missed'}`}
+                                >
+                                  {new Date(day.day).getDate()}
+                                </div>
+                              ))}
                             </div>
-                            <details className="text-xs">
-                              <summary className="cursor-pointer text-blue-400 hover:text-blue-300">
-                                {concept.bountyWindows.length} bounty window{concept.bountyWindows.length > 1 ? 's' : ''}
-                              </summary>
-                              <div className="mt-2 space-y-1 pl-2">
-                                {concept.bountyWindows.map((window, wi) => (
-                                  <div key={wi} className="flex justify-between text-gray-500">
-                                    <span>{window.date.slice(0, 6)}: {window.amount}¢</span>
-                                    <span className={window.roi >= 0 ? 'text-green-500' : 'text-red-500'}>
-                                      +{window.earned}¢ ({window.roi}%)
-                                    </span>
-                                  </div>
-                                ))}
-                              </div>
-                            </details>
-                          </div>
-                        )}
-                        
-                        <div className="border-t border-gray-700 pt-2 mt-2">
-                          <div className="flex justify-between">
-                            <span className="text-gray-400">net income</span>
-                            <span className={`font-bold ${concept.netIncome >= 0 ? 'text-green-400' : 'text-red-400'}`}>
-                              {concept.netIncome > 0 ? '+' : ''}{concept.netIncome}¢
-                            </span>
-                          </div>
-                        </div>
-                        
-                        <div className="flex justify-between">
-                          <span className="text-gray-400">👥 uses</span>
-                          <span className="text-white">{concept.uses}</span>
-                        </div>
-                        
-                        <div className="flex gap-2">
-                          <span className="px-2 py-1 bg-green-900 text-green-300 rounded text-xs">
-                            {concept.paidUses} paid
-                          </span>
-                          <span className="px-2 py-1 bg-gray-700 text-gray-300 rounded text-xs">
-                            {concept.freeUses} free
-                          </span>
-                        </div>
-                        
-                        <div className="flex justify-between">
-                          <span className="text-gray-400">📊 avg/use</span>
-                          <span className="text-blue-400">{concept.avgPerUse}¢</span>
-                        </div>
-                        
-                        <div className="mt-3">
-                          <div className={`w-full py-1 rounded text-center text-xs font-bold ${
-                            concept.profitable ? 'bg-green-600 text-white' : 'bg-red-600 text-white'
-                          }`}>
-                            {concept.profitable ? 'profitable' : `loss: ${concept.netIncome}¢`}
+                            <p className={streak.missed > 0 ? 'text-yellow-400 text-sm' : 'text-gray-400 text-sm'}>
+                              {streak.missed > 0
+                                ? `missed ${streak.missed} day${streak.missed === 1 ? '' : 's'}, about ${streak.missedCost}¢ at your ${Math.round(streak.average)}¢ average claim`
+                                : 'no missed days'}
+                            </p>
                           </div>
-                        </div>
-                      </div>
+                        );
+                      })}
                     </div>
-                  ))}
-                </div>
-              </div>
-            )}
-
-            {activeTab === 'analytics' && (
-              <>
-                <div className="bg-gray-800 rounded-lg p-6 mb-8 border border-gray-700">
-                  <h2 className="text-xl font-bold text-green-400 mb-4">cumulative clout flow</h2>
-                  <ResponsiveContainer width="100%" height={300}>
-                    <LineChart data={cloutFlow}>
-                      <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-                      <XAxis dataKey="label" stroke="#9ca3af" />
-                      <YAxis stroke="#9ca3af" />
-                      <Tooltip 
-                        contentStyle={{ 
-                          backgroundColor: '#1f2937', 
-                          border: '1px solid #374151'
-                        }}
-                        itemStyle={{ color: '#fff' }}
-                        labelStyle={{ color: '#9ca3af' }}
-                        cursor={{ fill: 'rgba(255, 255, 255, 0.1)' }}
-                      />
-                      <Line type="monotone" dataKey="total" stroke="#10b981" strokeWidth={2} dot={false} />
-                      <Line type="monotone" dataKey="clout" stroke="#3b82f6" strokeWidth={1} dot={false} />
-                    </LineChart>
-                  </ResponsiveContainer>
-                </div>
+                  </div>
+                )}
 
-                {timeOfDayData.length > 0 && (
-                  <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-8">
-                    <h2 className="text-xl font-bold text-green-400 mb-4">best time to post</h2>
-                    <ResponsiveContainer width="100%" height={300}>
-                      <BarChart data={timeOfDayData}>
+                {draftReport.rows.length > 0 && (
+                  <div>
+                    <h3 className="text-lg font-bold text-green-400 mb-2">draft spending</h3>
+                    <p className="text-gray-400 text-sm mb-4">
+                      what each {ledgerBucket} of drafting cost against the likes, tips and listens of the {ledgerBucket} after.
+                      {draftReport.costPerClout !== null && ` overall ${draftReport.spent}¢ spent for ${draftReport.earned}¢ earned, ${draftReport.costPerClout.toFixed(2)}¢ per clout earned.`}
+                    </p>
+                    <ResponsiveContainer width="100%" height={220}>
+                      <BarChart data={draftReport.rows}>
                         <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-                        <XAxis dataKey="hour" stroke="#9ca3af" />
+                        <XAxis dataKey="time" tickFormatter={(time) => formatBucket(time, ledgerBucket)} stroke="#9ca3af" />
                         <YAxis stroke="#9ca3af" />
-                        <Tooltip 
-                          contentStyle={{ backgroundColor: '#1f2937', border: '1px solid #374151' }}
+                        <Tooltip
+                          contentStyle={CHART_TOOLTIP_STYLE}
+                          itemStyle={{ color: '#fff' }}
+                          labelFormatter={(time) => formatBucket(time, ledgerBucket)}
                         />
-                        <Bar dataKey="clout" fill="#f59e0b" />
+                        <Legend />
+                        <Bar dataKey="spent" name="drafts" fill="#ef4444" />
+                        <Bar dataKey="earned" name={`earned the ${ledgerBucket} after`} fill="#10b981" />
                       </BarChart>
                     </ResponsiveContainer>
-                  </div>
-                )}
-
+                    <div className="grid grid-cols-5 gap-2 px-2 pb-2 mt-4 text-xs text-gray-500 border-b border-gray-700">
+                      <span>{ledgerBucket}</span>
+                      <span className="text-right">drafts</span>
+                      <span className="text-right">spent</span>
+                      <span className="text-right">earned after</span>
+                      <span className="text-right">cost per clout</span>
+                    </div>
+                    <div className="max-h-64 overflow-y-auto">
+                      {draftReport.rows.slice().reverse().map(row => (
+                        <div
+                          key={row.time}
+                          className={`grid grid-cols-5 gap-2 px-2 py-2 text-sm border-b border-gray-800 ${row.paidBack === false ? 'bg-red-900 bg-opacity-20' : ''}`}
+                          title={row.paidBack === false ? "didn't pay back" : row.complete ? undefined : `the ${ledgerBucket} after isn't over yet`}
+                        >
+                          <span className="text-gray-300">{formatBucket(row.time, ledgerBucket)}</span>
+                          <span className="text-right text-gray-300">{row.drafts}</span>
+                          <span className="text-right text-red-400">{row.spent}¢</span>
+                          <span className="text-right text-green-400">{row.earned}¢{row.complete ? '' : ' …'}</span>
+                          <span className={`text-right font-bold ${row.paidBack === false ? 'text-red-400' : 'text-gray-300'}`}>
+                            {row.costPerClout === null ? '-' : `${row.costPerClout.toFixed(2)}¢`}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                <div>
+                  <h3 className="text-lg font-bold text-green-400 mb-2">reconcile</h3>
+                  <p className="text-gray-400 text-sm mb-4">
+                    enter the balance simcluster shows and when you saw it. the first one anchors the balance above; later ones show how far the receipts are from what you saw.
+                  </p>
+                  <div className="flex gap-2 mb-4 flex-wrap">
+                    <input
+                      type="number"
+                      value={checkpointInput.balance}
+                      onChange={(e) => setCheckpointInput({ ...checkpointInput, balance: e.target.value })}
+                      placeholder="balance"
+                      className="bg-gray-900 text-white border border-gray-700 rounded px-3 py-2 w-32"
+                    />
+                    <input
+                      type="datetime-local"
+                      value={checkpointInput.time}
+                      onChange={(e) => setCheckpointInput({ ...checkpointInput, time: e.target.value })}
+                      className="bg-gray-900 text-white border border-gray-700 rounded px-3 py-2"
+                      title="leave empty for now"
+                    />
+                    <button
+                      onClick={handleAddCheckpoint}
+                      className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded transition-colors"
+                    >
+                      add balance
+                    </button>
+                  </div>
+                  {reconciliation.checkpoints.length > 0 && (
+                    <div className="space-y-2">
+                      {reconciliation.checkpoints.map(checkpoint => (
+                        <div key={checkpoint.time.toISOString()} className="flex items-center justify-between text-sm bg-gray-900 rounded px-3 py-2">
+                          <span className="text-gray-400">{checkpoint.time.toLocaleString()}</span>
+                          <span className="text-white font-bold">{checkpoint.balance}¢</span>
+                          <span className={checkpoint.difference === null ? 'text-gray-500' : checkpoint.difference === 0 ? 'text-green-400' : 'text-yellow-400'}>
+                            {checkpoint.difference === null
+                              ? 'anchor'
+                              : checkpoint.difference === 0
+                                ? 'matches the receipts'
+                                : `receipts say ${checkpoint.expected}¢ (${checkpoint.difference > 0 ? '+' : ''}${checkpoint.difference}¢ unaccounted for)`}
+                          </span>
+                          <button
+                            onClick={() => saveCheckpoints(balanceCheckpoints.filter(c => new Date(c.time).getTime() !== checkpoint.time.getTime()))}
+                            className="px-2 py-1 bg-red-700 hover:bg-red-600 text-white rounded text-xs"
+                          >
+                            delete
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                {ledgerGaps.length > 0 && (
+                  <div>
+                    <h3 className="text-lg font-bold text-yellow-400 mb-2">possible missing receipts</h3>
+                    <div className="space-y-1 text-sm">
+                      {ledgerGaps.map(gap => (
+                        <p key={gap.start.getTime()} className="text-gray-400">
+                          nothing between {gap.start.toLocaleString()} and {gap.end.toLocaleString()} ({gap.hours}h) - paste that stretch of activity if you have it
+                        </p>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {ledgerRows.length > 0 && (
+                  <div>
+                    <h3 className="text-lg font-bold text-green-400 mb-4">ledger</h3>
+                    <div className="grid grid-cols-5 gap-2 px-2 pb-2 text-xs text-gray-500 border-b border-gray-700">
+                      <span>{ledgerBucket}</span>
+                      <span className="text-right">income</span>
+                      <span className="text-right">spending</span>
+                      <span className="text-right">net</span>
+                      <span className="text-right">{reconciliation.opening === null ? 'running net' : 'balance'}</span>
+                    </div>
+                    <div className="max-h-96 overflow-y-auto">
+                      {ledgerRows.slice().reverse().map(row => {
+                        const inGap = ledgerGaps.some(gap => gap.start.getTime() <= row.time && gap.end.getTime() >= row.end);
+                        return (
+                          <div
+                            key={row.time}
+                            className={`grid grid-cols-5 gap-2 px-2 py-2 text-sm border-b border-gray-800 ${inGap ? 'bg-yellow-900 bg-opacity-20' : ''}`}
+                            title={inGap ? 'no receipts at all - some are probably missing' : undefined}
+                          >
+                            <span className="text-gray-300">{formatBucket(row.time, ledgerBucket)}</span>
+                            <span className="text-right text-green-400">{row.incomeTotal}¢</span>
+                            <span className="text-right text-red-400">{row.spendingTotal}¢</span>
+                            <span className={`text-right font-bold ${row.net >= 0 ? 'text-green-400' : 'text-red-400'}`}>{row.net}¢</span>
+                            <span className="text-right text-white">{row.balance}¢</span>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {activeTab === 'receipts' && (
+              <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-8">
+                <h2 className="text-xl font-bold text-green-400 mb-4">receipts</h2>
+                <ReceiptsTable
+                  receipts={filteredReceipts}
+                  onSave={handleReceiptEdit}
+                  onDelete={handleReceiptDelete}
+                  onUserClick={setProfileUser}
+                />
+              </div>
+            )}
+
+            {activeTab === 'concepts' && conceptView && (
+              <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-8 space-y-8">
+                <div className="flex items-center gap-4 flex-wrap">
+                  <button
+                    onClick={() => setDrilldownConcept(null)}
+                    className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm transition-colors"
+                  >
+                    ← all concepts
+                  </button>
+                  <h2 className="text-xl font-bold text-green-400">💡 {drilldownConcept}</h2>
+                  {conceptViewSummary && (
+                    <div className="flex gap-4 text-sm ml-auto">
+                      <span className="text-gray-400">income <span className="text-green-400 font-bold">{conceptViewSummary.clout}¢</span></span>
+                      <span className="text-gray-400">net <span className={conceptViewSummary.netIncome >= 0 ? 'text-green-400 font-bold' : 'text-red-400 font-bold'}>{conceptViewSummary.netIncome}¢</span></span>
+                      <span className="text-gray-400">uses <span className="text-white font-bold">{conceptViewSummary.uses}</span></span>
+                    </div>
+                  )}
+                </div>
+
+                {conceptView.timeline.length === 0 ? (
+                  <p className="text-gray-400">no uses of this concept in the selected range.</p>
+                ) : (
+                  <>
+                    <div>
+                      <h3 className="text-lg font-bold text-green-400 mb-1">earnings per {conceptView.bucket}</h3>
+                      {conceptView.bountyWindows.length > 0 && (
+                        <p className="text-gray-500 text-xs mb-2">shaded: {attribution.windowHours}h bounty windows</p>
+                      )}
+                      <ResponsiveContainer width="100%" height={300}>
+                        <LineChart data={conceptView.timeline}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                          <XAxis
+                            dataKey="time"
+                            type="number"
+                            scale="time"
+                            domain={['dataMin', 'dataMax']}
+                            tickFormatter={(time) => formatBucket(time, conceptView.bucket)}
+                            stroke="#9ca3af"
+                          />
+                          <YAxis stroke="#9ca3af" />
+                          <Tooltip
+                            contentStyle={CHART_TOOLTIP_STYLE}
+                            itemStyle={{ color: '#fff' }}
+                            labelFormatter={(time) => formatBucket(time, conceptView.bucket)}
+                          />
+                          {conceptView.bountyWindows.map((window, i) => (
+                            <ReferenceArea
+                              key={i}
+                              x1={window.start}
+                              x2={window.end}
+                              ifOverflow="hidden"
+                              fill="#f59e0b"
+                              fillOpacity={0.15}
+                            />
+                          ))}
+                          <Line type="monotone" dataKey="clout" stroke="#10b981" strokeWidth={2} dot={false} />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+
+                    <div>
+                      <h3 className="text-lg font-bold text-green-400 mb-4">paid vs free uses</h3>
+                      <ResponsiveContainer width="100%" height={250}>
+                        <BarChart data={conceptView.timeline}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                          <XAxis dataKey="time" tickFormatter={(time) => formatBucket(time, conceptView.bucket)} stroke="#9ca3af" />
+                          <YAxis stroke="#9ca3af" allowDecimals={false} />
+                          <Tooltip
+                            contentStyle={CHART_TOOLTIP_STYLE}
+                            itemStyle={{ color: '#fff' }}
+                            labelFormatter={(time) => formatBucket(time, conceptView.bucket)}
+                          />
+                          <Legend />
+                          <Bar dataKey="paid" stackId="uses" fill="#10b981" />
+                          <Bar dataKey="free" stackId="uses" fill="#6b7280" />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+                      <div>
+                        <h3 className="text-lg font-bold text-green-400 mb-4">create vs generate</h3>
+                        <ResponsiveContainer width="100%" height={250}>
+                          <PieChart>
+                            <Pie data={conceptView.actionSplit} dataKey="count" nameKey="name" outerRadius={90} label={({ name, count }) => `${name}: ${count}`}>
+                              {conceptView.actionSplit.map((entry, i) => (
+                                <Cell key={entry.name} fill={COLORS[i % COLORS.length]} />
+                              ))}
+                            </Pie>
+                            <Tooltip contentStyle={CHART_TOOLTIP_STYLE} itemStyle={{ color: '#fff' }} />
+                          </PieChart>
+                        </ResponsiveContainer>
+                        <div className="flex gap-4 justify-center text-sm">
+                          {conceptView.actionSplit.map(entry => (
+                            <span key={entry.name} className="text-gray-400">{entry.name}: <span className="text-green-400">{entry.clout}¢</span></span>
+                          ))}
+                        </div>
+                      </div>
+
+                      <div>
+                        <h3 className="text-lg font-bold text-green-400 mb-4">top users</h3>
+                        <div className="space-y-2">
+                          {conceptView.topUsers.map((fan, i) => (
+                            <div key={fan.name} className="flex items-center justify-between text-sm">
+                              <div className="flex items-center gap-3">
+                                <div className="w-6 h-6 rounded-full bg-purple-600 flex items-center justify-center text-white font-bold text-xs">
+                                  {i + 1}
+                                </div>
+                                <button onClick={() => setProfileUser(fan.name)} className="text-gray-300 hover:text-green-400">{fan.name}</button>
+                              </div>
+                              <span className="text-gray-400">{fan.count} uses · <span className="text-purple-400 font-bold">{fan.clout}¢</span></span>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    </div>
+
+                    <div>
+                      <h3 className="text-lg font-bold text-green-400 mb-4">by hour of day</h3>
+                      <ResponsiveContainer width="100%" height={250}>
+                        <BarChart data={conceptView.hourly}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                          <XAxis dataKey="hour" tickFormatter={(hour) => `${hour}:00`} stroke="#9ca3af" />
+                          <YAxis stroke="#9ca3af" />
+                          <Tooltip contentStyle={CHART_TOOLTIP_STYLE} itemStyle={{ color: '#fff' }} labelFormatter={(hour) => `${hour}:00`} />
+                          <Bar dataKey="clout" fill="#3b82f6" />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </>
+                )}
+
+                <div>
+                  <h3 className="text-lg font-bold text-green-400 mb-4">receipts</h3>
+                  <ReceiptsTable
+                    receipts={conceptView.receipts}
+                    onSave={handleReceiptEdit}
+                    onDelete={handleReceiptDelete}
+                    onUserClick={setProfileUser}
+                  />
+                </div>
+              </div>
+            )}
+
+            {activeTab === 'concepts' && !conceptView && conceptData.length > 0 && (
+              <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-8">
+                <div className="flex justify-between items-center mb-4 flex-wrap gap-2">
+                  <h2 className="text-xl font-bold text-green-400">concept performance</h2>
+                  <div className="flex items-center gap-2 text-sm">
+                    <span className="text-gray-400">bounty window</span>
+                    <select
+                      value={attribution.windowHours}
+                      onChange={(e) => setAttribution({ ...attribution, windowHours: Number(e.target.value) })}
+                      className="bg-gray-900 text-white border border-gray-700 rounded px-2 py-1"
+                    >
+                      {BOUNTY_WINDOW_HOURS.map(hours => (
+                        <option key={hours} value={hours}>{hours}h</option>
+                      ))}
+                    </select>
+                    <select
+                      value={attribution.mode}
+                      onChange={(e) => setAttribution({ ...attribution, mode: e.target.value })}
+                      className="bg-gray-900 text-white border border-gray-700 rounded px-2 py-1"
+                      title="what a bounty gets credit for"
+                    >
+                      {analytics.ATTRIBUTION_MODES.map(mode => (
+                        <option key={mode} value={mode}>{ATTRIBUTION_LABELS[mode]}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="flex gap-2">
+                    {untaggedBounties.length > 0 && (
+                      <>
+                        <span className="px-3 py-1 bg-yellow-900 text-yellow-300 rounded text-sm">
+                          {untaggedBounties.length} untagged bounties
+                        </span>
+                        <button
+                          onClick={() => setShowBountyModal(true)}
+                          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm transition-colors"
+                        >
+                          tag bounties
+                        </button>
+                      </>
+                    )}
+                    <button
+                      onClick={() => {
+                        setPlannerInput(input => ({ ...input, concept: input.concept || conceptData[0]?.name || '' }));
+                        setShowPlanner(true);
+                      }}
+                      className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm transition-colors"
+                    >
+                      plan a bounty
+                    </button>
+                    {taggedBounties.length > 0 && (
+                      <button
+                        onClick={() => setShowBountyManager(true)}
+                        className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm transition-colors"
+                      >
+                        manage bounties
+                      </button>
+                    )}
+                  </div>
+                </div>
+                {quietConcepts.length > 0 && (
+                  <p className="text-sm text-red-400 mb-4">
+                    📉 no earnings this period, down from the last: {quietConcepts.map(([name, trend]) => `${name} (${trend.clout.previous}¢)`).join(', ')}
+                  </p>
+                )}
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                  {conceptData.map((concept, i) => {
+                    const trend = comparison?.concepts[concept.name];
+                    return (
+                      <div
+                        key={i}
+                        onClick={() => setDrilldownConcept(concept.name)}
+                        className={`bg-gray-900 rounded-lg p-4 border cursor-pointer hover:bg-gray-950 transition-colors ${
+                          trend?.trend === 'up' ? 'border-green-600' : trend?.trend === 'down' ? 'border-red-600' : 'border-gray-700 hover:border-gray-500'
+                        }`}
+                      >
+                        <div className="flex items-center gap-2 mb-3">
+                          <span className="text-lg">💡</span>
+                          <h3 className="font-bold text-white truncate">{concept.name}</h3>
+                          {trend?.trend && (
+                            <span className={`ml-auto px-2 py-0.5 rounded text-xs whitespace-nowrap ${
+                              trend.trend === 'up' ? 'bg-green-900 text-green-300' : 'bg-red-900 text-red-300'
+                            }`}>
+                              {trend.trend === 'up' ? '📈' : '📉'} {trend.clout.percent !== null ? `${trend.clout.percent > 0 ? '+' : ''}${trend.clout.percent}%` : 'new'}
+                            </span>
+                          )}
+                        </div>
+                        
+                        <div className="space-y-2 text-sm">
+                          <div className="flex justify-between">
+                            <span className="text-gray-400">total income</span>
+                            <span className="text-green-400 font-bold">{concept.clout}¢</span>
+                          </div>
+                          {trend && (
+                            <div className="text-right -mt-1">
+                              <Delta comparison={trend.clout} unit="¢" />
+                            </div>
+                          )}
+
+                          {concept.publishCost > 0 && (
+                            <div className="flex justify-between">
+                              <span className="text-gray-400">🚀 publish cost</span>
+                              <span className="text-gray-300">{concept.publishCost}¢</span>
+                            </div>
+                          )}
+                          
+                          {concept.bountyWindows.length > 0 && (
+                            <div className="border border-gray-700 rounded p-2 space-y-1">
+                              <div className="flex justify-between text-xs">
+                                <span className="text-gray-400">💰 total bounty cost</span>
+                                <span className="text-gray-300">{concept.bountyCost}¢</span>
+                              </div>
+                              <div className="flex justify-between text-xs">
+                                <span className="text-gray-400">
+                                📈 {attribution.windowHours}h window {attribution.mode === 'raw' ? 'earnings' : ATTRIBUTION_LABELS[attribution.mode]}
+                              </span>
+                                <span className="text-blue-400">{concept.bountyEarnings}¢</span>
+                              </div>
+                              <div className="flex justify-between text-xs font-bold">
+                                <span className="text-gray-400">avg bounty roi</span>
+                                <span className={concept.avgRoi >= 0 ? 'text-green-400' : 'text-red-400'}>
+                                  {concept.avgRoi}%
+                                </span>
+                              </div>
+                              <details className="text-xs" onClick={(e) => e.stopPropagation()}>
+                                <summary className="cursor-pointer text-blue-400 hover:text-blue-300">
+                                  {concept.bountyWindows.length} bounty window{concept.bountyWindows.length > 1 ? 's' : ''}
+                                </summary>
+                                <div className="mt-2 space-y-1 pl-2">
+                                  {concept.bountyWindows.map((window, wi) => (
+                                    <div key={wi} className="flex justify-between text-gray-500">
+                                      <span>{window.date.slice(0, 6)}: {window.amount}¢</span>
+                                      <span
+                                        className={window.roi >= 0 ? 'text-green-500' : 'text-red-500'}
+                                        title={`${window.windowEarnings}¢ in window, ${window.baseline}¢ the ${attribution.windowHours}h before`}
+                                      >
+                                        {window.earned >= 0 ? '+' : ''}{window.earned}¢ ({window.roi}%)
+                                      </span>
+                                    </div>
+                                  ))}
+                                </div>
+                              </details>
+                            </div>
+                          )}
+                          
+                          <div className="border-t border-gray-700 pt-2 mt-2">
+                            <div className="flex justify-between">
+                              <span className="text-gray-400">net income</span>
+                              <span className={`font-bold ${concept.netIncome >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                                {concept.netIncome > 0 ? '+' : ''}{concept.netIncome}¢
+                              </span>
+                            </div>
+                            {trend && (
+                              <div className="text-right">
+                                <Delta comparison={trend.netIncome} unit="¢" />
+                              </div>
+                            )}
+                          </div>
+                          
+                          <div className="flex justify-between">
+                            <span className="text-gray-400">👥 uses</span>
+                            <span className="text-white">{concept.uses}</span>
+                          </div>
+                          
+                          <div className="flex gap-2">
+                            <span className="px-2 py-1 bg-green-900 text-green-300 rounded text-xs">
+                              {concept.paidUses} paid
+                            </span>
+                            <span className="px-2 py-1 bg-gray-700 text-gray-300 rounded text-xs">
+                              {concept.freeUses} free
+                            </span>
+                          </div>
+                          
+                          <div className="flex justify-between">
+                            <span className="text-gray-400">📊 avg/use</span>
+                            <span className="text-blue-400">{concept.avgPerUse}¢</span>
+                          </div>
+                          
+                          <div className="mt-3">
+                            <div className={`w-full py-1 rounded text-center text-xs font-bold ${
+                              concept.profitable ? 'bg-green-600 text-white' : 'bg-red-600 text-white'
+                            }`}>
+                              {concept.profitable ? 'profitable' : `loss: ${concept.netIncome}¢`}
+                            </div>
+                          </div>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
+            {activeTab === 'analytics' && (
+              <>
+                <div className="bg-gray-800 rounded-lg p-6 mb-8 border border-gray-700">
+                  <div className="flex justify-between items-center mb-4 flex-wrap gap-2">
+                    <h2 className="text-xl font-bold text-green-400">cumulative clout flow</h2>
+                    <div className="flex gap-2">
+                      {analytics.FLOW_BUCKETS.map(bucket => (
+                        <button
+                          key={bucket}
+                          onClick={() => setFlowBucket(bucket)}
+                          className={`px-3 py-1 rounded text-sm transition-colors ${
+                            flowBucket === bucket
+                              ? 'bg-green-600 text-white'
+                              : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                          }`}
+                        >
+                          by {bucket}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  {flowBounties.length > 0 && (
+                    <p className="text-gray-500 text-xs mb-2">dashed: tagged bounty purchases. drag the handles below the chart to zoom.</p>
+                  )}
+                  <ResponsiveContainer width="100%" height={340}>
+                    <LineChart key={flowBucket} data={cloutFlow}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                      <XAxis
+                        dataKey="time"
+                        type="number"
+                        scale="time"
+                        domain={['dataMin', 'dataMax']}
+                        tickFormatter={(time) => formatBucket(time, flowBucket)}
+                        stroke="#9ca3af"
+                      />
+                      <YAxis stroke="#9ca3af" />
+                      <Tooltip 
+                        contentStyle={{ 
+                          backgroundColor: '#1f2937', 
+                          border: '1px solid #374151'
+                        }}
+                        itemStyle={{ color: '#fff' }}
+                        labelStyle={{ color: '#9ca3af' }}
+                        labelFormatter={(time) => formatBucket(time, flowBucket)}
+                        cursor={{ fill: 'rgba(255, 255, 255, 0.1)' }}
+                      />
+                      {flowBounties.map(bounty => (
+                        <ReferenceLine
+                          key={`${bounty.concept}-${bounty.index}`}
+                          x={bounty.bucket}
+                          stroke="#f59e0b"
+                          strokeDasharray="4 4"
+                          label={{ value: `${bounty.concept} ${bounty.amount}¢`, fill: '#f59e0b', fontSize: 11, position: 'insideTopLeft' }}
+                        />
+                      ))}
+                      <Line type="monotone" dataKey="total" stroke="#10b981" strokeWidth={2} dot={false} />
+                      <Line type="monotone" dataKey="clout" stroke="#3b82f6" strokeWidth={1} dot={false} />
+                      <Brush
+                        dataKey="time"
+                        height={24}
+                        stroke="#10b981"
+                        fill="#1f2937"
+                        tickFormatter={(time) => formatBucket(time, flowBucket)}
+                      />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+
+                {earningsForecast && (
+                  <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-8">
+                    <div className="flex justify-between items-center mb-4 flex-wrap gap-2">
+                      <h2 className="text-xl font-bold text-green-400">forecast</h2>
+                      <div className="flex gap-2">
+                        {analytics.FORECAST_HORIZONS.map(days => (
+                          <button
+                            key={days}
+                            onClick={() => setForecastHorizon(days)}
+                            className={`px-3 py-1 rounded text-sm transition-colors ${
+                              forecastHorizon === days
+                                ? 'bg-green-600 text-white'
+                                : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                            }`}
+                          >
+                            next {days}d
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    <p className="text-gray-500 text-sm mb-4">
+                      from the trend of the last {Math.min(analytics.FORECAST_LOOKBACK_DAYS, earningsForecast.history.length)} full days of all your receipts (daily income moving {earningsForecast.dailyTrend >= 0 ? '+' : ''}{earningsForecast.dailyTrend.toFixed(1)}¢ per day). ranges are 95% prediction intervals.
+                    </p>
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                      <div className="bg-gray-900 rounded-lg p-4">
+                        <p className="text-gray-400 text-sm">income</p>
+                        <p className="text-2xl font-bold text-green-400">{earningsForecast.income[forecastHorizon].expected}¢</p>
+                        <p className="text-gray-500 text-xs">{earningsForecast.income[forecastHorizon].low}-{earningsForecast.income[forecastHorizon].high}¢</p>
+                      </div>
+                      <div className="bg-gray-900 rounded-lg p-4">
+                        <p className="text-gray-400 text-sm">net after spending</p>
+                        <p className={`text-2xl font-bold ${earningsForecast.net[forecastHorizon].expected >= 0 ? 'text-green-400' : 'text-red-400'}`}>{earningsForecast.net[forecastHorizon].expected}¢</p>
+                        <p className="text-gray-500 text-xs">{earningsForecast.net[forecastHorizon].low} to {earningsForecast.net[forecastHorizon].high}¢</p>
+                      </div>
+                      <div className="bg-gray-900 rounded-lg p-4">
+                        <p className="text-gray-400 text-sm">projected balance</p>
+                        {currentBalance !== null ? (
+                          <>
+                            <p className="text-2xl font-bold text-white">{currentBalance + earningsForecast.net[forecastHorizon].expected}¢</p>
+                            <p className="text-gray-500 text-xs">{currentBalance + earningsForecast.net[forecastHorizon].low}-{currentBalance + earningsForecast.net[forecastHorizon].high}¢, from {currentBalance}¢ now</p>
+                          </>
+                        ) : (
+                          <p className="text-gray-500 text-sm mt-1">add a known balance in the ledger tab to project it</p>
+                        )}
+                      </div>
+                    </div>
+
+                    {earningsForecast.concepts.length > 0 && (
+                      <>
+                        <h3 className="text-lg font-bold text-green-400 mb-2">by concept</h3>
+                        <div className="grid grid-cols-[1fr_5rem_6rem_6rem_10rem] gap-2 px-2 pb-2 text-xs text-gray-500 border-b border-gray-700">
+                          <span>concept</span>
+                          <span className="text-right">age</span>
+                          <span className="text-right">per day</span>
+                          <span className="text-right">half-life</span>
+                          <span className="text-right">next {forecastHorizon}d</span>
+                        </div>
+                        <div className="max-h-96 overflow-y-auto">
+                          {earningsForecast.concepts.map(concept => (
+                            <div
+                              key={concept.name}
+                              className={`grid grid-cols-[1fr_5rem_6rem_6rem_10rem] gap-2 px-2 py-2 text-sm border-b border-gray-800 ${concept.fading ? 'bg-red-900 bg-opacity-20' : ''}`}
+                            >
+                              <span className="text-gray-300 truncate">
+                                {concept.name}
+                                {concept.fading && <span className="ml-2 text-xs text-red-400">fading</span>}
+                              </span>
+                              <span className="text-right text-gray-400">{concept.days}d</span>
+                              <span className={`text-right ${concept.dailyChange === null ? 'text-gray-500' : concept.dailyChange < 0 ? 'text-red-400' : 'text-green-400'}`}>
+                                {concept.dailyChange === null ? '-' : `${concept.dailyChange > 0 ? '+' : ''}${concept.dailyChange.toFixed(1)}%`}
+                              </span>
+                              <span className="text-right text-gray-400">{concept.halfLife === null ? '-' : `${concept.halfLife.toFixed(1)}d`}</span>
+                              <span className="text-right text-gray-300">
+                                {concept.projections
+                                  ? <>{concept.projections[forecastHorizon].expected}¢ <span className="text-gray-500">({concept.projections[forecastHorizon].low}-{concept.projections[forecastHorizon].high})</span></>
+                                  : <span className="text-gray-500">too new</span>}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                        <p className="text-gray-500 text-xs mt-2">
+                          half-life: days for a concept's daily income to halve at its current rate of decline. fading: under {analytics.FADING_HALF_LIFE_DAYS} days.
+                        </p>
+                      </>
+                    )}
+                  </div>
+                )}
+
+                {heatmapSlots.some(slot => slot.events > 0) && (
+                  <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-8">
+                    <div className="flex justify-between items-center mb-4 flex-wrap gap-2">
+                      <h2 className="text-xl font-bold text-green-400">best time to post</h2>
+                      <div className="flex gap-2">
+                        {HEATMAP_METRICS.map(metric => (
+                          <button
+                            key={metric.key}
+                            onClick={() => setHeatmapMetric(metric.key)}
+                            className={`px-3 py-1 rounded text-sm transition-colors ${
+                              heatmapMetric === metric.key
+                                ? 'bg-green-600 text-white'
+                                : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                            }`}
+                          >
+                            {metric.label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+
+                    {bestHours.length > 0 && (
+                      <p className="text-gray-300 text-sm mb-4">
+                        best hours: {bestHours.map(h => `${formatHour(h.hour)} (${h.score.toFixed(1)}¢ per ${h.basis === 'post' ? 'post' : 'day'}, ${h.samples} ${h.basis === 'post' ? 'posts' : 'days'})`).join(' · ')}
+                        {bestHours[0].basis === 'day' && (
+                          <span className="text-gray-500"> - not enough posts at any hour to judge by clout per post yet</span>
+                        )}
+                      </p>
+                    )}
+
+                    <div className="overflow-x-auto">
+                      <div className="grid grid-cols-[3rem_repeat(24,minmax(1.5rem,1fr))] gap-px min-w-[40rem] text-xs">
+                        <span></span>
+                        {Array.from({ length: 24 }, (_, hour) => (
+                          <span key={hour} className="text-gray-500 text-center">{hour % 3 === 0 ? hour : ''}</span>
+                        ))}
+                        {heatmap.map((row, day) => (
+                          <React.Fragment key={day}>
+                            <span className="text-gray-400">{WEEKDAYS[day]}</span>
+                            {row.map(slot => {
+                              const band = slot[heatmapMetric];
+                              const strength = band && heatmapMax > 0 ? Math.min(1, band.mean / heatmapMax) : 0;
+                              return (
+                                <div
+                                  key={slot.hour}
+                                  className="h-6 rounded-sm flex items-center justify-center text-white"
+                                  style={{
+                                    backgroundColor: slot.reliable ? `rgba(16, 185, 129, ${0.15 + 0.85 * strength})` : band ? 'rgba(107, 114, 128, 0.35)' : 'rgba(55, 65, 81, 0.4)'
+                                  }}
+                                  title={band
+                                    ? `${WEEKDAYS[day]} ${formatHour(slot.hour)}: ${band.mean.toFixed(1)}¢ ${heatmapMetric === 'perEvent' ? 'per like/tip' : 'per active day'} (95%: ${band.low.toFixed(1)}-${band.high.toFixed(1)}¢), ${slot.events} events over ${slot.activeDays} day${slot.activeDays === 1 ? '' : 's'}, ${slot.posts} posts`
+                                    : `${WEEKDAYS[day]} ${formatHour(slot.hour)}: nothing yet, ${slot.posts} posts`}
+                                >
+                                  {slot.posts > 0 ? '•' : ''}
+                                </div>
+                              );
+                            })}
+                          </React.Fragment>
+                        ))}
+                      </div>
+                    </div>
+                    <p className="text-gray-500 text-xs mt-2">
+                      greener is better. grey slots have under {analytics.HEATMAP_MIN_EVENTS} likes/tips, too few to trust. • marks slots you posted in. hover for the 95% range.
+                    </p>
+                  </div>
+                )}
+
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-8 mb-8">
                   {topUsers.length > 0 && (
                     <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
@@ -1402,7 +2759,12 @@ function ReceiptAnalytics() {
                               <div className="w-8 h-8 rounded-full bg-blue-600 flex items-center justify-center text-white font-bold text-sm">
                                 {i + 1}
                               </div>
-                              <span className="text-gray-300">{user.name}</span>
+                              <div>
+                                <button onClick={() => setProfileUser(user.name)} className="text-gray-300 hover:text-green-400">{user.name}</button>
+                                {comparison && (
+                                  <div><Delta comparison={analytics.compareValues(user.count, comparison.userStats[user.name] || 0)} /></div>
+                                )}
+                              </div>
                             </div>
                             <div className="flex items-center gap-2">
                               <div className="w-32 bg-gray-700 rounded-full h-2">
@@ -1429,7 +2791,12 @@ function ReceiptAnalytics() {
                               <div className="w-8 h-8 rounded-full bg-purple-600 flex items-center justify-center text-white font-bold text-sm">
                                 {i + 1}
                               </div>
-                              <span className="text-gray-300">{user.name}</span>
+                              <div>
+                                <button onClick={() => setProfileUser(user.name)} className="text-gray-300 hover:text-green-400">{user.name}</button>
+                                {comparison && (
+                                  <div><Delta comparison={analytics.compareValues(user.clout, comparison.userValueStats[user.name] || 0)} unit="¢" /></div>
+                                )}
+                              </div>
                             </div>
                             <div className="flex items-center gap-2">
                               <div className="w-32 bg-gray-700 rounded-full h-2">
@@ -1447,6 +2814,57 @@ function ReceiptAnalytics() {
                   )}
                 </div>
 
+                {relationships.length > 0 && (
+                  <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-8">
+                    <div className="flex justify-between items-center mb-4 flex-wrap gap-2">
+                      <h2 className="text-xl font-bold text-green-400">tipping relationships</h2>
+                      <div className="flex gap-2">
+                        {RELATIONSHIP_FILTERS.map(filter => (
+                          <button
+                            key={filter.key}
+                            onClick={() => setRelationshipFilter(filter.key)}
+                            className={`px-3 py-1 rounded text-sm transition-colors ${
+                              relationshipFilter === filter.key
+                                ? 'bg-green-600 text-white'
+                                : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                            }`}
+                          >
+                            {filter.label} ({filter.key === 'all' ? relationships.length : relationships.filter(person => person[filter.key]).length})
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    <p className="text-gray-500 text-sm mb-4">
+                      tips they sent you against tips you sent them, all time. yellow: tipped you {analytics.REGULAR_TIPPER_MIN}+ times and never tipped back. red: you tip them, they've never tipped you.
+                    </p>
+                    <div className="grid grid-cols-[1fr_6rem_6rem_5rem_7rem_7rem] gap-2 px-2 pb-2 text-xs text-gray-500 border-b border-gray-700">
+                      <span>user</span>
+                      <span className="text-right">received</span>
+                      <span className="text-right">sent</span>
+                      <span className="text-right">net</span>
+                      <span className="text-right">last from them</span>
+                      <span className="text-right">last from you</span>
+                    </div>
+                    <div className="max-h-96 overflow-y-auto">
+                      {shownRelationships.map(person => (
+                        <div
+                          key={person.name}
+                          className={`grid grid-cols-[1fr_6rem_6rem_5rem_7rem_7rem] gap-2 px-2 py-2 text-sm border-b border-gray-800 ${
+                            person.unreturned ? 'bg-yellow-900 bg-opacity-20' : person.unreciprocated ? 'bg-red-900 bg-opacity-20' : ''
+                          }`}
+                        >
+                          <button onClick={() => setProfileUser(person.name)} className="text-left text-gray-300 hover:text-green-400 truncate">{person.name}</button>
+                          <span className="text-right text-green-400">{person.received}¢ <span className="text-gray-500">×{person.receivedCount}</span></span>
+                          <span className="text-right text-red-400">{person.sent}¢ <span className="text-gray-500">×{person.sentCount}</span></span>
+                          <span className={`text-right font-bold ${person.net >= 0 ? 'text-green-400' : 'text-red-400'}`}>{person.net}¢</span>
+                          <span className="text-right text-gray-400">{formatAgo(person.lastReceived, now)}</span>
+                          <span className="text-right text-gray-400">{formatAgo(person.lastSent, now)}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-8">
                   <h2 className="text-xl font-bold text-green-400 mb-4">action breakdown</h2>
                   <ResponsiveContainer width="100%" height={400}>
@@ -1487,6 +2905,35 @@ function ReceiptAnalytics() {
               >
                 update data
               </button>
+              <label className={`inline-block px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors ${isLoading ? 'opacity-50 pointer-events-none' : 'cursor-pointer'}`}>
+                upload html
+                <input
+                  type="file"
+                  accept=".html,.htm,text/html"
+                  multiple
+                  onChange={handleHtmlUpload}
+                  className="hidden"
+                  disabled={isLoading}
+                />
+              </label>
+              <label className={`inline-block px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors ${isLoading ? 'opacity-50 pointer-events-none' : 'cursor-pointer'}`}>
+                upload screenshots
+                <input
+                  type="file"
+                  accept="image/*"
+                  multiple
+                  onChange={handleScreenshotUpload}
+                  className="hidden"
+                  disabled={isLoading}
+                />
+              </label>
+              <button
+                onClick={openRulesModal}
+                className="px-6 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
+                disabled={isLoading}
+              >
+                classification rules
+              </button>
               <button
                 onClick={handleClear}
                 className="px-6 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors"
@@ -1613,14 +3060,26 @@ function ReceiptAnalytics() {
                 </div>
               ) : (
                 <div className="space-y-4">
-                  <p className="text-gray-400 text-sm">
-                    select a bounty and assign it to a concept
-                  </p>
+                  <div className="flex justify-between items-center gap-4">
+                    <p className="text-gray-400 text-sm">
+                      select a bounty and assign it to a concept. suggestions are the concepts whose uses jumped in the {attribution.windowHours}h after it
+                    </p>
+                    <button
+                      onClick={handleAcceptSuggestions}
+                      disabled={!bountySuggestions.some(suggestions => suggestions.length > 0)}
+                      className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded text-sm whitespace-nowrap transition-colors"
+                    >
+                      accept all suggestions
+                    </button>
+                  </div>
                   
                   {untaggedBounties.map((bounty, i) => (
                     <div 
                       key={i}
-                      onClick={() => setSelectedBounty({...bounty, index: i})}
+                      onClick={() => {
+                        setSelectedBounty({...bounty, index: i});
+                        setSelectedConcept(bountySuggestions[i]?.[0]?.name || '');
+                      }}
                       className={`p-4 rounded border cursor-pointer transition-colors ${
                         selectedBounty?.index === i 
                           ? 'border-blue-500 bg-gray-900' 
@@ -1631,6 +3090,15 @@ function ReceiptAnalytics() {
                         <div>
                           <div className="text-red-400 font-bold text-lg">-{bounty.clout}¢</div>
                           <div className="text-gray-500 text-sm">{bounty.date}</div>
+                          <div className="text-sm mt-1">
+                            {bountySuggestions[i]?.length > 0 ? (
+                              <span className="text-blue-300">
+                                suggested: {bountySuggestions[i][0].name} (+{bountySuggestions[i][0].surge} uses)
+                              </span>
+                            ) : (
+                              <span className="text-gray-500">no suggestion</span>
+                            )}
+                          </div>
                         </div>
                         {selectedBounty?.index === i && (
                           <div className="text-blue-400">✓ selected</div>
@@ -1641,6 +3109,24 @@ function ReceiptAnalytics() {
                   
                   {selectedBounty && (
                     <div className="pt-4 border-t border-gray-700">
+                      {bountySuggestions[selectedBounty.index]?.length > 0 && (
+                        <div className="mb-3">
+                          <p className="text-gray-400 text-sm mb-2">candidates (uses before → after)</p>
+                          <div className="flex gap-2 flex-wrap">
+                            {bountySuggestions[selectedBounty.index].slice(0, 5).map(candidate => (
+                              <button
+                                key={candidate.name}
+                                onClick={() => setSelectedConcept(candidate.name)}
+                                className={`px-3 py-1 rounded text-sm transition-colors ${
+                                  selectedConcept === candidate.name ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                                }`}
+                              >
+                                {candidate.name} {candidate.before} → {candidate.after}
+                              </button>
+                            ))}
+                          </div>
+                        </div>
+                      )}
                       <label className="block text-gray-400 text-sm mb-2">assign to concept</label>
                       <select
                         value={selectedConcept}
@@ -1648,34 +3134,579 @@ function ReceiptAnalytics() {
                         className="w-full bg-gray-900 text-white border border-gray-700 rounded px-3 py-2 mb-4"
                       >
                         <option value="">select a concept</option>
-                        {conceptData.map((c, i) => (
-                          <option key={i} value={c.name}>{c.name}</option>
+                        {allConcepts.map(name => (
+                          <option key={name} value={name}>{name}</option>
                         ))}
                       </select>
                       
-                      <div className="flex gap-2">
+                      <button
+                        onClick={handleAddBounty}
+                        disabled={!selectedConcept}
+                        className="w-full px-4 py-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded transition-colors"
+                      >
+                        assign bounty
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* outside the selection so the modal can be left once accept-all empties it */}
+              <button
+                onClick={() => {
+                  setShowBountyModal(false);
+                  setSelectedConcept('');
+                  setSelectedBounty(null);
+                }}
+                className="w-full mt-4 px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded transition-colors"
+              >
+                close
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* bounty manager modal */}
+        {showBountyManager && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-gray-800 rounded-lg p-6 max-w-3xl w-full mx-4 border border-gray-700 max-h-[80vh] overflow-y-auto">
+              <h3 className="text-xl font-bold text-green-400 mb-4">manage bounties</h3>
+
+              {taggedBounties.length === 0 ? (
+                <div className="text-gray-400 text-center py-8">
+                  no tagged bounties yet.
+                </div>
+              ) : (
+                <div className="space-y-2 mb-4">
+                  <div className="grid grid-cols-[1fr_6rem_8rem_9rem] gap-2 text-xs text-gray-500 px-1">
+                    <span>concept</span>
+                    <span>amount</span>
+                    <span>date</span>
+                    <span></span>
+                  </div>
+                  {taggedBounties.map(bounty => (
+                    <div
+                      key={`${bounty.concept}-${bounty.index}-${bounty.amount}-${bounty.date}`}
+                      className="grid grid-cols-[1fr_6rem_8rem_9rem] gap-2 items-center bg-gray-900 border border-gray-700 rounded p-2"
+                    >
+                      <select
+                        value={bounty.concept}
+                        onChange={(e) => reassignBounty(bounty.concept, bounty.index, e.target.value)}
+                        disabled={isLoading}
+                        className="bg-gray-900 text-white border border-gray-700 rounded px-2 py-1 text-sm"
+                      >
+                        {!allConcepts.includes(bounty.concept) && (
+                          <option value={bounty.concept}>{bounty.concept}</option>
+                        )}
+                        {allConcepts.map(name => (
+                          <option key={name} value={name}>{name}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        min="1"
+                        defaultValue={bounty.amount}
+                        onBlur={(e) => updateBountyAmount(bounty.concept, bounty.index, parseInt(e.target.value))}
+                        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                        disabled={isLoading}
+                        className="bg-gray-900 text-white border border-gray-700 rounded px-2 py-1 text-sm"
+                      />
+                      <span className="text-gray-400 text-sm">{bounty.date}</span>
+                      <div className="flex gap-1 justify-end">
                         <button
-                          onClick={handleAddBounty}
-                          disabled={!selectedConcept}
-                          className="flex-1 px-4 py-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded transition-colors"
+                          onClick={() => untagBounty(bounty.concept, bounty.index)}
+                          disabled={isLoading}
+                          className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs transition-colors"
                         >
-                          assign bounty
+                          untag
                         </button>
                         <button
-                          onClick={() => {
-                            setShowBountyModal(false);
-                            setSelectedConcept('');
-                            setSelectedBounty(null);
-                          }}
-                          className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded transition-colors"
+                          onClick={() => deleteBounty(bounty.concept, bounty.index)}
+                          disabled={isLoading}
+                          className="px-2 py-1 bg-red-700 hover:bg-red-600 text-white rounded text-xs transition-colors"
                         >
-                          close
+                          delete
                         </button>
                       </div>
                     </div>
-                  )}
+                  ))}
+                </div>
+              )}
+
+              <button
+                onClick={() => setShowBountyManager(false)}
+                className="w-full px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded transition-colors"
+              >
+                close
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* bounty planner modal */}
+        {showPlanner && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-gray-800 rounded-lg p-6 max-w-lg w-full mx-4 border border-gray-700 max-h-[80vh] overflow-y-auto">
+              <h3 className="text-xl font-bold text-green-400 mb-2">plan a bounty</h3>
+              <p className="text-gray-400 text-sm mb-4">
+                estimates come from your tagged bounties ({attribution.windowHours}h window, {ATTRIBUTION_LABELS[attribution.mode]}) and when your likes and tips usually arrive.
+              </p>
+
+              <div className="space-y-3 mb-4">
+                <div>
+                  <label className="block text-gray-400 text-sm mb-1">concept</label>
+                  <select
+                    value={plannerInput.concept}
+                    onChange={(e) => setPlannerInput({ ...plannerInput, concept: e.target.value })}
+                    className="w-full bg-gray-900 text-white border border-gray-700 rounded px-3 py-2"
+                  >
+                    <option value="">select a concept</option>
+                    {allConcepts.map(name => (
+                      <option key={name} value={name}>{name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex gap-3">
+                  <div className="flex-1">
+                    <label className="block text-gray-400 text-sm mb-1">amount</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={plannerInput.amount}
+                      onChange={(e) => setPlannerInput({ ...plannerInput, amount: parseInt(e.target.value) || 0 })}
+                      className="w-full bg-gray-900 text-white border border-gray-700 rounded px-3 py-2"
+                    />
+                  </div>
+                  <div className="flex-1">
+                    <label className="block text-gray-400 text-sm mb-1">start hour</label>
+                    <select
+                      value={plannerInput.hour}
+                      onChange={(e) => setPlannerInput({ ...plannerInput, hour: Number(e.target.value) })}
+                      className="w-full bg-gray-900 text-white border border-gray-700 rounded px-3 py-2"
+                    >
+                      {Array.from({ length: 24 }, (_, hour) => (
+                        <option key={hour} value={hour}>{formatHour(hour)}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              </div>
+
+              {plannerInput.concept && plannerInput.amount > 0 && !bountyPlan && (
+                <p className="text-gray-400 text-sm mb-4">tag some bounties first - the planner needs at least one to learn from.</p>
+              )}
+
+              {bountyPlan && (
+                <div className="bg-gray-900 border border-gray-700 rounded p-4 mb-4 space-y-2 text-sm">
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">expected return</span>
+                    <span className="text-white font-bold">{bountyPlan.expected}¢</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">likely range</span>
+                    <span className="text-gray-300">{bountyPlan.low}¢ - {bountyPlan.high}¢</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">expected roi</span>
+                    <span className={bountyPlan.roi >= 0 ? 'text-green-400 font-bold' : 'text-red-400 font-bold'}>
+                      {bountyPlan.roi}% <span className="text-gray-500 font-normal">({bountyPlan.roiLow}% to {bountyPlan.roiHigh}%)</span>
+                    </span>
+                  </div>
+                  <p className="text-gray-500 text-xs">
+                    from {bountyPlan.samples} past bount{bountyPlan.samples === 1 ? 'y' : 'ies'}
+                    {bountyPlan.fallback ? ' across all concepts - this one has none yet' : ` on ${plannerInput.concept}`}.
+                    {' '}{formatHour(plannerInput.hour)} starts {bountyPlan.hourFactor >= 1 ? 'above' : 'below'} average ({bountyPlan.hourFactor.toFixed(2)}×).
+                  </p>
+
+                  <div className="border-t border-gray-700 pt-2 space-y-1">
+                    {bountyPlan.bestBracket && (
+                      <div className="flex justify-between items-center">
+                        <span className="text-gray-400">best size so far</span>
+                        <button
+                          onClick={() => setPlannerInput({ ...plannerInput, amount: bountyPlan.bestBracket.min })}
+                          className="text-blue-400 hover:text-blue-300"
+                        >
+                          {formatBracket(bountyPlan.bestBracket)} ({bountyPlan.bestBracket.avgRoi}% avg roi, {bountyPlan.bestBracket.samples} bount{bountyPlan.bestBracket.samples === 1 ? 'y' : 'ies'})
+                        </button>
+                      </div>
+                    )}
+                    {bountyPlan.bestHour !== null && (
+                      <div className="flex justify-between items-center">
+                        <span className="text-gray-400">best start hour</span>
+                        <button
+                          onClick={() => setPlannerInput({ ...plannerInput, hour: bountyPlan.bestHour })}
+                          className="text-blue-400 hover:text-blue-300"
+                        >
+                          {formatHour(bountyPlan.bestHour)}
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              <button
+                onClick={() => setShowPlanner(false)}
+                className="w-full px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded transition-colors"
+              >
+                close
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* receipts behind an anomaly */}
+        {anomalyView && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-gray-800 rounded-lg p-6 max-w-5xl w-full mx-4 border border-gray-700 max-h-[80vh] overflow-y-auto">
+              <div className="flex justify-between items-center mb-4 gap-4">
+                <h3 className="text-lg font-bold text-yellow-400">{describeAnomaly(anomalyView)}</h3>
+                <button
+                  onClick={() => setAnomalyView(null)}
+                  className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm transition-colors"
+                >
+                  close
+                </button>
+              </div>
+              {anomalyView.baseline > 0 && (
+                <p className="text-gray-400 text-sm mb-4">
+                  {anomalyView.hours === 1 ? 'that hour' : `those ${anomalyView.hours} hours`} would normally see about {anomalyView.baseline.toFixed(1)}.
+                </p>
+              )}
+              <ReceiptsTable
+                key={anomalyView.id}
+                receipts={anomalyReceipts}
+                onSave={handleReceiptEdit}
+                onDelete={handleReceiptDelete}
+                onUserClick={(name) => {
+                  setAnomalyView(null);
+                  setProfileUser(name);
+                }}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* fan profile modal */}
+        {profile && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-gray-800 rounded-lg p-6 max-w-5xl w-full mx-4 border border-gray-700 max-h-[80vh] overflow-y-auto space-y-6">
+              <div className="flex justify-between items-center">
+                <h3 className="text-xl font-bold text-green-400">👤 {profile.name}</h3>
+                <button
+                  onClick={() => setProfileUser(null)}
+                  className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm transition-colors"
+                >
+                  close
+                </button>
+              </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div className="bg-gray-900 rounded-lg p-4">
+                  <p className="text-gray-400 text-sm">clout given</p>
+                  <p className="text-2xl font-bold text-green-400">{profile.clout}¢</p>
+                </div>
+                <div className="bg-gray-900 rounded-lg p-4">
+                  <p className="text-gray-400 text-sm">actions</p>
+                  <p className="text-2xl font-bold text-white">{profile.actions}</p>
+                </div>
+                <div className="bg-gray-900 rounded-lg p-4">
+                  <p className="text-gray-400 text-sm">first seen</p>
+                  <p className="text-white">{profile.firstSeen ? profile.firstSeen.toLocaleString() : '-'}</p>
+                </div>
+                <div className="bg-gray-900 rounded-lg p-4">
+                  <p className="text-gray-400 text-sm">last seen</p>
+                  <p className="text-white">{profile.lastSeen ? profile.lastSeen.toLocaleString() : '-'}</p>
+                </div>
+              </div>
+
+              <p className={profile.tipsSent.count > 0 ? 'text-green-400 text-sm' : 'text-yellow-400 text-sm'}>
+                {profile.tipsSent.count > 0
+                  ? `you've tipped them back ${profile.tipsSent.count} time${profile.tipsSent.count === 1 ? '' : 's'} (${profile.tipsSent.clout}¢)`
+                  : "you haven't tipped them back"}
+              </p>
+
+              {profile.timeline.length > 0 && (
+                <div>
+                  <h4 className="text-lg font-bold text-green-400 mb-4">clout given per {profile.bucket}</h4>
+                  <ResponsiveContainer width="100%" height={220}>
+                    <BarChart data={profile.timeline}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                      <XAxis dataKey="time" tickFormatter={(time) => formatBucket(time, profile.bucket)} stroke="#9ca3af" />
+                      <YAxis stroke="#9ca3af" />
+                      <Tooltip
+                        contentStyle={CHART_TOOLTIP_STYLE}
+                        itemStyle={{ color: '#fff' }}
+                        labelFormatter={(time) => formatBucket(time, profile.bucket)}
+                      />
+                      <Bar dataKey="clout" fill="#10b981" />
+                    </BarChart>
+                  </ResponsiveContainer>
                 </div>
               )}
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+                <div>
+                  <h4 className="text-lg font-bold text-green-400 mb-4">what they do</h4>
+                  <div className="space-y-2">
+                    {profile.byAction.map(entry => (
+                      <div key={entry.action} className="flex justify-between text-sm">
+                        <span className="text-gray-300">{entry.action}</span>
+                        <span className="text-gray-400">{entry.count} · <span className="text-green-400 font-bold">{entry.clout}¢</span></span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div>
+                  <h4 className="text-lg font-bold text-green-400 mb-4">concepts they use</h4>
+                  {profile.concepts.length === 0 ? (
+                    <p className="text-gray-500 text-sm">none yet</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {profile.concepts.map(concept => (
+                        <div key={concept.name} className="flex justify-between text-sm">
+                          <span className="text-gray-300">{concept.name}</span>
+                          <span className="text-gray-400">{concept.count} uses · <span className="text-green-400 font-bold">{concept.clout}¢</span></span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              <div>
+                <h4 className="text-lg font-bold text-green-400 mb-4">receipts</h4>
+                <ReceiptsTable
+                  key={profile.name}
+                  receipts={profile.receipts}
+                  onSave={handleReceiptEdit}
+                  onDelete={handleReceiptDelete}
+                />
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* classification rules modal */}
+        {showRulesModal && (() => {
+          const draftErrors = validateRules(draftRules);
+          const hasErrors = Object.keys(draftErrors).length > 0;
+          const testResult = ruleTestText && !hasErrors ? classifyReceipt(ruleTestText, draftRules) : null;
+
+          return (
+            <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+              <div className="bg-gray-800 rounded-lg p-6 max-w-5xl w-full mx-4 border border-gray-700 max-h-[80vh] overflow-y-auto">
+                <h3 className="text-xl font-bold text-green-400 mb-2">classification rules</h3>
+                <p className="text-gray-400 text-sm mb-4">
+                  each receipt gets the action of the first pattern (a regular expression) that matches its text.
+                  user and concept are the numbers of the capture groups holding them.
+                  the bookmarklet, html and screenshot imports all use these rules.
+                </p>
+
+                <div className="grid grid-cols-[1fr_4rem_9rem_4rem_4rem_5.5rem] gap-2 text-xs text-gray-500 mb-1 px-1">
+                  <span>pattern</span>
+                  <span>flags</span>
+                  <span>action</span>
+                  <span>user</span>
+                  <span>concept</span>
+                  <span></span>
+                </div>
+                <div className="space-y-2 mb-4">
+                  {draftRules.map((rule, i) => (
+                    <div key={i}>
+                      <div className="grid grid-cols-[1fr_4rem_9rem_4rem_4rem_5.5rem] gap-2 items-center">
+                        <input
+                          type="text"
+                          value={rule.pattern}
+                          onChange={(e) => updateDraftRule(i, { pattern: e.target.value })}
+                          className={`bg-gray-900 text-white border rounded px-2 py-1 text-sm font-mono ${draftErrors[i] ? 'border-red-500' : 'border-gray-700'}`}
+                        />
+                        <input
+                          type="text"
+                          value={rule.flags || ''}
+                          onChange={(e) => updateDraftRule(i, { flags: e.target.value })}
+                          className="bg-gray-900 text-white border border-gray-700 rounded px-2 py-1 text-sm font-mono"
+                        />
+                        <input
+                          type="text"
+                          value={rule.action}
+                          onChange={(e) => updateDraftRule(i, { action: e.target.value })}
+                          className="bg-gray-900 text-white border border-gray-700 rounded px-2 py-1 text-sm"
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          value={rule.user || ''}
+                          onChange={(e) => updateDraftRule(i, { user: parseInt(e.target.value) || 0 })}
+                          className="bg-gray-900 text-white border border-gray-700 rounded px-2 py-1 text-sm"
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          value={rule.concept || ''}
+                          onChange={(e) => updateDraftRule(i, { concept: parseInt(e.target.value) || 0 })}
+                          className="bg-gray-900 text-white border border-gray-700 rounded px-2 py-1 text-sm"
+                        />
+                        <div className="flex gap-1">
+                          <button
+                            onClick={() => moveDraftRule(i, -1)}
+                            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs"
+                            title="move up"
+                          >
+                            ↑
+                          </button>
+                          <button
+                            onClick={() => moveDraftRule(i, 1)}
+                            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs"
+                            title="move down"
+                          >
+                            ↓
+                          </button>
+                          <button
+                            onClick={() => setDraftRules(draft => draft.filter((_, ri) => ri !== i))}
+                            className="px-2 py-1 bg-red-700 hover:bg-red-600 text-white rounded text-xs"
+                            title="delete rule"
+                          >
+                            ✕
+                          </button>
+                        </div>
+                      </div>
+                      {draftErrors[i] && (
+                        <p className="text-red-400 text-xs mt-1">{draftErrors[i]}</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+
+                <div className="flex gap-2 mb-4">
+                  <button
+                    onClick={() => setDraftRules(draft => [...draft, { pattern: '', action: '' }])}
+                    className="px-4 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm transition-colors"
+                  >
+                    add rule
+                  </button>
+                  <button
+                    onClick={() => setDraftRules(DEFAULT_RULES.map(rule => ({ ...rule })))}
+                    className="px-4 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm transition-colors"
+                  >
+                    reset to defaults
+                  </button>
+                </div>
+
+                <div className="border-t border-gray-700 pt-4 mb-4">
+                  <label className="block text-gray-400 text-sm mb-1">try some receipt text</label>
+                  <input
+                    type="text"
+                    value={ruleTestText}
+                    onChange={(e) => setRuleTestText(e.target.value)}
+                    placeholder="reyman used your concept 🦀 Crabbing to create a new post."
+                    className="w-full bg-gray-900 text-white border border-gray-700 rounded px-3 py-2 text-sm"
+                  />
+                  {testResult && (
+                    <p className="text-gray-300 text-sm mt-1 font-mono">
+                      {testResult.action} · user: {testResult.user} · concept: {testResult.concept ?? '-'}
+                    </p>
+                  )}
+                </div>
+
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleSaveRules(false)}
+                    disabled={hasErrors}
+                    className="flex-1 px-4 py-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded transition-colors"
+                  >
+                    save rules
+                  </button>
+                  <button
+                    onClick={() => handleSaveRules(true)}
+                    disabled={hasErrors || receipts.length === 0}
+                    className="flex-1 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded transition-colors"
+                  >
+                    save and reclassify {receipts.length} receipts
+                  </button>
+                  <button
+                    onClick={() => setShowRulesModal(false)}
+                    className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded transition-colors"
+                  >
+                    close
+                  </button>
+                </div>
+              </div>
+            </div>
+          );
+        })()}
+
+        {/* screenshot review modal */}
+        {ocrRows && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-gray-800 rounded-lg p-6 max-w-4xl w-full mx-4 border border-gray-700 max-h-[80vh] overflow-y-auto">
+              <h3 className="text-xl font-bold text-green-400 mb-2">review screenshot import</h3>
+              <p className="text-gray-400 text-sm mb-4">
+                {ocrRows.filter(row => row.issues.length > 0).length} of {ocrRows.length} rows need a look. fix the text or date and tick them to include them.
+              </p>
+
+              <div className="space-y-2 mb-4">
+                {ocrRows.map((row, i) => (
+                  <div
+                    key={i}
+                    className={`p-3 rounded border ${row.issues.length > 0 ? 'border-yellow-700 bg-yellow-900/20' : 'border-gray-700 bg-gray-900'}`}
+                  >
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={row.include}
+                        onChange={(e) => setOcrRows(rows => rows.map((r, ri) => ri === i ? { ...r, include: e.target.checked } : r))}
+                      />
+                      <input
+                        type="number"
+                        value={row.receipt.clout}
+                        onChange={(e) => updateOcrRow(i, { clout: parseInt(e.target.value) || 0 })}
+                        className="w-20 bg-gray-900 text-white border border-gray-700 rounded px-2 py-1 text-sm"
+                      />
+                      <input
+                        type="text"
+                        value={row.receipt.raw}
+                        onChange={(e) => updateOcrRow(i, { raw: e.target.value })}
+                        className="flex-1 min-w-0 bg-gray-900 text-white border border-gray-700 rounded px-2 py-1 text-sm"
+                      />
+                      <input
+                        type="text"
+                        value={row.receipt.date}
+                        onChange={(e) => updateOcrRow(i, { date: e.target.value })}
+                        placeholder="Oct 18 01:15 PM"
+                        className="w-36 bg-gray-900 text-white border border-gray-700 rounded px-2 py-1 text-sm"
+                      />
+                    </div>
+                    <div className="flex justify-between text-xs mt-1 pl-6">
+                      <span className="text-gray-500">
+                        {row.receipt.action}
+                        {row.receipt.user !== 'you' && ` · ${row.receipt.user}`}
+                        {row.receipt.concept && ` · ${row.receipt.concept}`}
+                      </span>
+                      <span className={row.issues.length > 0 ? 'text-yellow-400' : 'text-gray-500'}>
+                        {row.issues.length > 0 ? row.issues.join(', ') : `${Math.round(row.confidence)}%`}
+                      </span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex gap-2">
+                <button
+                  onClick={handleOcrImport}
+                  disabled={!ocrRows.some(row => row.include && row.receipt.date)}
+                  className="flex-1 px-4 py-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded transition-colors"
+                >
+                  import {ocrRows.filter(row => row.include).length} receipts
+                </button>
+                <button
+                  onClick={() => setOcrRows(null)}
+                  className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded transition-colors"
+                >
+                  cancel
+                </button>
+              </div>
             </div>
           </div>
         )}
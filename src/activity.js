@@ -0,0 +1,124 @@
+// how receipt text is classified. first matching rule wins. patterns are
+// regex source strings so the table stays plain json for storage and the
+// bookmarklet; user and concept are the capture group holding each (none ->
+// user is 'you', concept is null)
+export const DEFAULT_RULES = [
+  { pattern: /You created a new bounty/.source, action: 'bounty' },
+  { pattern: /daily concept bounty/.source, action: 'daily_bounty' },
+  { pattern: /daily sign-in bonus/.source, action: 'daily_signin' },
+  { pattern: /You generated a new post draft/.source, action: 'draft_cost' },
+  { pattern: /You received a tip from\s+(.+?)\s+for/.source, action: 'tip', user: 1 },
+  { pattern: /You tipped\s+(.+?)\s+for/.source, action: 'tip_sent', user: 1 },
+  { pattern: /^(.+?)\s+liked (?:your|\d+ of your) (?:post|song)/.source, action: 'like', user: 1 },
+  { pattern: /You liked your own/.source, action: 'self_like' },
+  { pattern: /^(.+?)\s+listened to your song/.source, action: 'listen', user: 1 },
+  { pattern: /^(.+?)\s+replied to your (?:post|song)/.source, action: 'reply', user: 1 },
+  { pattern: /^(.+?)\s+used your concept\s+[^\w\s]*(.+?)\s+to\s+create/.source, flags: 'i', action: 'create', user: 1, concept: 2 },
+  { pattern: /^(.+?)\s+used your concept\s+[^\w\s]*(.+?)\s+to\s+generate/.source, flags: 'i', action: 'generate', user: 1, concept: 2 },
+  { pattern: /^(.+?)\s+used your concept/.source, action: 'use', user: 1 },
+  { pattern: /You published a new concept:\s*[^\w\s]*(.+?)\.?$/.source, action: 'concept_published', concept: 1 },
+  { pattern: /new concept definition for concept\s+"[^\w\s]*(.+?)"/.source, action: 'concept_definition', concept: 1 },
+  { pattern: /You created a new/.source, action: 'self_create' },
+  { pattern: /^(?!Someone\s)(.+?)\s+claimed your referral/.source, action: 'referral', user: 1 },
+  { pattern: /claimed your referral/.source, action: 'referral' },
+  { pattern: /You claimed the .+ challenge/.source, action: 'challenge' }
+];
+
+// who did what from the text of one activity row
+// self-contained so the bookmarklet can inline it - which also means no
+// line comments inside, they'd swallow the rest of the one-line bookmarklet
+export function classifyReceipt(content, rules = DEFAULT_RULES) {
+  for (const rule of rules) {
+    const match = content.match(new RegExp(rule.pattern, rule.flags || ''));
+    if (!match) continue;
+
+    const user = rule.user ? match[rule.user] || 'unknown' : 'you';
+    const concept = rule.concept && match[rule.concept] ? match[rule.concept].trim() : null;
+    return { user: user.trim(), action: rule.action, concept };
+  }
+
+  return { user: 'you', action: 'unknown', concept: null };
+}
+
+// problems that would stop a rules table from classifying, keyed by rule index
+export function validateRules(rules) {
+  const errors = {};
+  rules.forEach((rule, i) => {
+    if (!rule.pattern) {
+      errors[i] = 'pattern is empty';
+    } else if (!rule.action || !rule.action.trim()) {
+      errors[i] = 'action is empty';
+    } else {
+      try {
+        new RegExp(rule.pattern, rule.flags || '');
+      } catch (e) {
+        errors[i] = e.message;
+      }
+    }
+  });
+  return errors;
+}
+
+// re-run the rules over each receipt's stored raw text
+// returns the updated list plus the indexes that changed. receipts corrected by
+// hand (edited) are left alone; skipped has the ones the rules would have changed
+export function reclassifyReceipts(receipts, rules = DEFAULT_RULES) {
+  const changed = [];
+  const skipped = [];
+  const updated = receipts.map((receipt, i) => {
+    if (!receipt.raw) return receipt;
+
+    const { user, action, concept } = classifyReceipt(receipt.raw, rules);
+    if (user === receipt.user && action === receipt.action && concept === receipt.concept) {
+      return receipt;
+    }
+    if (receipt.edited) {
+      skipped.push(i);
+      return receipt;
+    }
+    changed.push(i);
+    return { ...receipt, user, action, concept };
+  });
+  return { receipts: updated, changed, skipped };
+}
+
+// turns the rows of a simcluster activity page into { receipts, bounties }
+// takes any root with querySelectorAll (document, DOMParser output, linkedom)
+export function parseActivityRows(root, classify = classifyReceipt) {
+  const receipts = [];
+  const bounties = [];
+
+  root.querySelectorAll('div.flex.items-center.px-2').forEach(el => {
+    const cloutEl = el.querySelector('.text-green-500, .text-red-500, [class*="text-green"], [class*="text-red"]');
+    const clout = cloutEl ? parseInt(cloutEl.textContent.replace(/[^\d-]/g, '')) : 0;
+    const dateEl = el.querySelector('.opacity-60');
+    const date = dateEl ? dateEl.textContent.trim() : '';
+    const contentEl = el.querySelector('.flex-1.min-w-0');
+    const content = contentEl ? contentEl.textContent.trim() : '';
+    if (!date || !content) return;
+
+    const { user, action, concept } = classify(content);
+    if (action === 'bounty') {
+      bounties.push({ clout: Math.abs(clout), date });
+    }
+
+    receipts.push({ user, action, concept, clout, date, raw: content });
+  });
+
+  return { receipts, bounties };
+}
+
+const inline = (fn) => fn.toString().replace(/\s*\n\s*/g, ' ');
+
+// the bookmarklet runs this same parser and rules table on the live page, so a
+// paste and an uploaded page give identical receipts. newlines are collapsed
+// because browsers strip them from bookmark urls, and % is escaped because
+// they percent-decode them. capturedAt lets the dashboard work out the year
+export const buildBookmarklet = (rules = DEFAULT_RULES) => 'javascript:(function(){' +
+  `const rules=${JSON.stringify(rules).replace(/%/g, '\\u0025')};` +
+  `const classify=${inline(classifyReceipt)};` +
+  `const data=(${inline(parseActivityRows)})(document,content=>classify(content,rules));` +
+  'data.capturedAt=new Date().toISOString();' +
+  'navigator.clipboard.writeText(JSON.stringify(data))' +
+  '.then(()=>alert(`Copied ${data.receipts.length} receipts (${data.bounties.length} bounties need tagging)! Paste into dashboard.`));' +
+  '})();';
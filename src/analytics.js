@@ -0,0 +1,1117 @@
+// pure receipt analytics - no react, no firebase, safe to import from node
+
+const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// someone else using one of your concepts
+export const CONCEPT_USE_ACTIONS = ['create', 'generate', 'use'];
+// what you paid to put a concept out
+export const CONCEPT_COST_ACTIONS = ['concept_published', 'concept_definition'];
+
+const isConceptUse = (r) => CONCEPT_USE_ACTIONS.includes(r.action);
+
+// "01:15 PM" -> 13
+export const parseReceiptHour = (dateStr) => {
+  const match = (dateStr || '').match(/(\d+):(\d+)\s+(AM|PM)/);
+  if (!match) return null;
+
+  let hour = parseInt(match[1]);
+  const isPM = match[3] === 'PM';
+  if (isPM && hour !== 12) hour += 12;
+  if (!isPM && hour === 12) hour = 0;
+  return hour;
+};
+
+// "Oct 18 1:15 PM" -> Date in the year that keeps it from being in the future.
+// `now` should be when the text was captured - the page never shows a year
+export const parseReceiptDate = (dateStr, now = new Date()) => {
+  const match = (dateStr || '').match(/(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+(\d+)\s+(\d+):(\d+)\s+(AM|PM)/);
+  if (!match) return null;
+
+  const month = MONTHS[match[1]];
+  const day = parseInt(match[2]);
+  const hour = parseReceiptHour(dateStr);
+  const minute = parseInt(match[4]);
+
+  const date = new Date(now.getFullYear(), month, day, hour, minute);
+  if (date > now) {
+    date.setFullYear(now.getFullYear() - 1);
+  }
+  return date;
+};
+
+// adds an absolute iso `timestamp` to a receipt or bounty, resolving its date
+// string against when it was captured. ones already stamped keep theirs
+export const stampReceipt = (r, capturedAt = new Date()) => {
+  if (r.timestamp) return r;
+  const date = parseReceiptDate(r.date, capturedAt);
+  return date ? { ...r, timestamp: date.toISOString() } : r;
+};
+
+export const stampReceipts = (receipts, capturedAt = new Date()) => receipts.map(r => stampReceipt(r, capturedAt));
+
+// when a receipt or bounty happened. unstamped ones fall back to guessing the
+// year from `now`
+export const receiptTime = (r, now = new Date()) => r.timestamp ? new Date(r.timestamp) : parseReceiptDate(r.date, now);
+
+// "2025-10-21" (a date input's value) -> local midnight that day, or the day after
+const parseDay = (day, offset = 0) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date + offset);
+};
+
+// the { start, end } a time filter covers, or null for all time. either end is
+// null when open. 'custom' takes whole days from date-input values in customRange
+export const timeRangeBounds = (timeFilter, now = new Date(), customRange = {}) => {
+  switch (timeFilter) {
+    case '24h':
+      return { start: new Date(now - DAY_MS), end: now };
+    case '7d':
+      return { start: new Date(now - 7 * DAY_MS), end: now };
+    case '30d':
+      return { start: new Date(now - 30 * DAY_MS), end: now };
+    case 'month':
+      return { start: new Date(now.getFullYear(), now.getMonth(), 1), end: now };
+    case 'custom': {
+      const start = customRange.start ? parseDay(customRange.start) : null;
+      const end = customRange.end ? new Date(parseDay(customRange.end, 1) - 1) : null;
+      return start || end ? { start, end } : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// the same-length stretch right before a time filter's range, or null when
+// the range has no start to measure from
+export const previousRangeBounds = (timeFilter, now = new Date(), customRange = {}) => {
+  const bounds = timeRangeBounds(timeFilter, now, customRange);
+  if (!bounds || !bounds.start) return null;
+
+  // both ends are inclusive, so the range is a millisecond longer than end - start
+  const length = (bounds.end || now) - bounds.start + 1;
+  return { start: new Date(bounds.start - length), end: new Date(bounds.start - 1) };
+};
+
+export const receiptsInRange = (receipts, bounds, now = new Date()) => receipts.filter(r => {
+  const receiptDate = receiptTime(r, now);
+  if (!receiptDate) return false; // exclude if we can't parse the date
+  return (!bounds.start || receiptDate >= bounds.start) && (!bounds.end || receiptDate <= bounds.end);
+});
+
+export const filterReceipts = (receipts, timeFilter, now = new Date(), customRange = {}) => {
+  const bounds = timeRangeBounds(timeFilter, now, customRange);
+  return bounds ? receiptsInRange(receipts, bounds, now) : receipts;
+};
+
+// oldest and newest parseable receipt dates, or null
+export const getDateRange = (receipts, now = new Date()) => {
+  const dates = receipts.map(r => receiptTime(r, now)).filter(d => d);
+  if (dates.length === 0) return null;
+
+  return {
+    oldest: new Date(Math.min(...dates)),
+    newest: new Date(Math.max(...dates))
+  };
+};
+
+export const totalClout = (receipts) => receipts.reduce((sum, r) => sum + (r.clout || 0), 0);
+
+export const avgClout = (receipts) => receipts.length ? (totalClout(receipts) / receipts.length).toFixed(1) : 0;
+
+export const conceptStats = (receipts) => receipts.reduce((acc, r) => {
+  if (r.concept) {
+    acc[r.concept] = (acc[r.concept] || 0) + (r.clout || 0);
+  }
+  return acc;
+}, {});
+
+// how a bounty is credited with what its concept earned after it was bought:
+//   raw - everything earned in the window
+//   incremental - that minus the baseline, what the same-length window before it earned
+//   split - earnings inside overlapping windows of the same concept are shared out
+export const ATTRIBUTION_MODES = ['raw', 'incremental', 'split'];
+export const DEFAULT_ATTRIBUTION = { windowHours: 24, mode: 'raw' };
+
+// each bounty's window: what it earned under the attribution mode, plus the raw
+// window earnings and baseline it was worked out from
+export const bountyWindows = (name, conceptBounties, receipts, now = new Date(), attribution = DEFAULT_ATTRIBUTION) => {
+  const { windowHours, mode } = { ...DEFAULT_ATTRIBUTION, ...attribution };
+  const windowMs = windowHours * HOUR_MS;
+
+  const uses = receipts
+    .filter(r => r.concept === name && isConceptUse(r))
+    .map(r => ({ time: receiptTime(r, now), clout: r.clout || 0 }))
+    .filter(use => use.time);
+
+  const windows = conceptBounties.map(bounty => {
+    const start = receiptTime(bounty, now);
+    return { bounty, start, end: start && new Date(start.getTime() + windowMs) };
+  });
+  const inWindow = (window, time) => window.start && time >= window.start && time <= window.end;
+
+  return windows.map(window => {
+    const { amount, date } = window.bounty;
+    if (!window.start) return { amount, date, earned: 0, windowEarnings: 0, baseline: 0, roi: -100 };
+
+    const windowUses = uses.filter(use => inWindow(window, use.time));
+    const windowEarnings = totalClout(windowUses);
+    const baselineStart = new Date(window.start.getTime() - windowMs);
+    const baseline = totalClout(uses.filter(use => use.time >= baselineStart && use.time < window.start));
+
+    let earned = windowEarnings;
+    if (mode === 'incremental') {
+      earned = windowEarnings - baseline;
+    } else if (mode === 'split') {
+      earned = Math.round(windowUses.reduce((sum, use) => sum + use.clout / windows.filter(w => inWindow(w, use.time)).length, 0));
+    }
+
+    const roi = amount > 0 ? Math.round(((earned - amount) / amount) * 100) : 0;
+
+    return {
+      amount,
+      date,
+      earned,
+      windowEarnings,
+      baseline,
+      roi
+    };
+  });
+};
+
+// the concepts a bounty was most likely bought for: those whose uses surged in
+// the window after it compared with the window before, best first
+export const suggestBountyConcepts = (bounty, receipts, now = new Date(), windowHours = DEFAULT_ATTRIBUTION.windowHours) => {
+  const start = receiptTime(bounty, now);
+  if (!start) return [];
+
+  const windowMs = windowHours * HOUR_MS;
+  const counts = {};
+  receipts.forEach(r => {
+    if (!r.concept || !isConceptUse(r)) return;
+    const time = receiptTime(r, now);
+    const offset = time ? time - start : null;
+    if (offset === null || offset < -windowMs || offset > windowMs) return;
+
+    if (!counts[r.concept]) counts[r.concept] = { name: r.concept, after: 0, before: 0 };
+    counts[r.concept][offset >= 0 ? 'after' : 'before']++;
+  });
+
+  return Object.values(counts)
+    .map(c => ({ ...c, surge: c.after - c.before }))
+    .filter(c => c.surge > 0)
+    .sort((a, b) => b.surge - a.surge || b.after - a.after);
+};
+
+// income is what uses earned; publishing and bounties come off it for net income
+export const conceptData = ({ receipts, bounties = {} }, now = new Date(), attribution = DEFAULT_ATTRIBUTION) => Object.keys(conceptStats(receipts))
+  .map(name => {
+    const conceptReceipts = receipts.filter(r => r.concept === name);
+    const useReceipts = conceptReceipts.filter(isConceptUse);
+    const clout = totalClout(useReceipts);
+    const publishCost = -totalClout(conceptReceipts.filter(r => CONCEPT_COST_ACTIONS.includes(r.action)));
+
+    const conceptBounties = Array.isArray(bounties[name]) ? bounties[name] : [];
+    const windows = bountyWindows(name, conceptBounties, receipts, now, attribution);
+
+    const totalBountyCost = conceptBounties.reduce((sum, b) => sum + b.amount, 0);
+    const totalBountyEarnings = windows.reduce((sum, w) => sum + w.earned, 0);
+    const netIncome = clout - totalBountyCost - publishCost;
+    const avgRoi = windows.length > 0
+      ? Math.round(windows.reduce((sum, w) => sum + w.roi, 0) / windows.length)
+      : 0;
+
+    const uses = useReceipts.length;
+    const paidUses = useReceipts.filter(r => (r.clout || 0) > 0).length;
+    const freeUses = uses - paidUses;
+    const avgPerUse = uses > 0 ? (clout / uses).toFixed(1) : 0;
+
+    return {
+      name,
+      clout,
+      publishCost,
+      bountyCost: totalBountyCost,
+      bountyEarnings: totalBountyEarnings,
+      bountyWindows: windows,
+      netIncome,
+      avgRoi,
+      uses,
+      paidUses,
+      freeUses,
+      avgPerUse,
+      profitable: netIncome > 0
+    };
+  })
+  .sort((a, b) => b.netIncome - a.netIncome);
+
+// bounty planning. a bounty draws most of its uses early, so the hours right
+// after it starts are what make one start hour better than another
+export const BOUNTY_EARLY_HOURS = 6;
+export const BOUNTY_SIZE_BRACKETS = [[1, 99], [100, 249], [250, 499], [500, Infinity]];
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const stdev = (values) => {
+  const m = mean(values);
+  return Math.sqrt(mean(values.map(v => (v - m) ** 2)));
+};
+
+// how a start hour compares with the average one (1), from { hour: clout } like timeOfDayStats
+export const bountyHourFactor = (hourlyEarnings, hour) => {
+  const hourly = (h) => hourlyEarnings[h % 24] || 0;
+  let total = 0;
+  let early = 0;
+  for (let h = 0; h < 24; h++) {
+    total += hourly(h);
+    if (h < BOUNTY_EARLY_HOURS) early += hourly(hour + h);
+  }
+  return total > 0 ? (early / BOUNTY_EARLY_HOURS) / (total / 24) : 1;
+};
+
+// what a bounty should earn, judged by past bounty windows in `concepts` (conceptData).
+// a concept without bounties of its own borrows every concept's. past returns are
+// taken per clout spent, from the same size bracket when there are two or more, and
+// scaled by the start hour; low/high are one standard deviation either side.
+// null when no bounty has been tagged yet
+export const planBounty = ({ concepts, hourlyEarnings = {}, concept, amount, hour }) => {
+  const windowsOf = (list) => list.flatMap(c => c.bountyWindows).filter(w => w.amount > 0);
+  const everyWindow = windowsOf(concepts);
+  const own = windowsOf(concepts.filter(c => c.name === concept));
+  const fallback = own.length === 0;
+  const history = fallback ? everyWindow : own;
+  if (history.length === 0) return null;
+
+  const inBracket = ([min, max]) => (w) => w.amount >= min && w.amount <= max;
+  const bracket = BOUNTY_SIZE_BRACKETS.find(([min, max]) => amount >= min && amount <= max) || BOUNTY_SIZE_BRACKETS[0];
+  const similar = history.filter(inBracket(bracket));
+  const sample = similar.length >= 2 ? similar : history;
+
+  const returns = sample.map(w => w.earned / w.amount);
+  // one window says nothing about spread, so borrow it from every bounty
+  const spread = stdev(returns.length >= 2 ? returns : everyWindow.map(w => w.earned / w.amount));
+  const hourFactor = bountyHourFactor(hourlyEarnings, hour);
+  const earn = (perClout) => Math.round(amount * perClout * hourFactor);
+  const roi = (earned) => Math.round(((earned - amount) / amount) * 100);
+
+  const expected = earn(mean(returns));
+  // a wide spread can reach below zero, but a bounty can't earn less than nothing
+  const low = Math.max(0, earn(mean(returns) - spread));
+  const high = Math.max(0, earn(mean(returns) + spread));
+
+  const bestBracket = BOUNTY_SIZE_BRACKETS
+    .map(([min, max]) => {
+      const windows = history.filter(inBracket([min, max]));
+      return windows.length > 0 ? { min, max, samples: windows.length, avgRoi: Math.round(mean(windows.map(w => w.roi))) } : null;
+    })
+    .filter(Boolean)
+    .reduce((best, b) => !best || b.avgRoi > best.avgRoi ? b : best, null);
+
+  const hours = Array.from({ length: 24 }, (_, h) => h);
+  const bestHour = Object.keys(hourlyEarnings).length > 0
+    ? hours.reduce((best, h) => bountyHourFactor(hourlyEarnings, h) > bountyHourFactor(hourlyEarnings, best) ? h : best, 0)
+    : null;
+
+  return {
+    samples: sample.length,
+    fallback,
+    expected,
+    low,
+    high,
+    roi: roi(expected),
+    roiLow: roi(low),
+    roiHigh: roi(high),
+    hourFactor,
+    bestBracket,
+    bestHour
+  };
+};
+
+// start of the hour, day or week (from sunday) a date falls in, as a timestamp
+const bucketStart = (date, bucket) => {
+  if (bucket === 'hour') return new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()).getTime();
+  if (bucket === 'week') return new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay()).getTime();
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+};
+
+const nextBucket = (time, bucket) => {
+  const date = new Date(time);
+  if (bucket === 'hour') return new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours() + 1).getTime();
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + (bucket === 'week' ? 7 : 1)).getTime();
+};
+
+// items with a `time` bucketed by hour for spans of three days or less and by
+// day otherwise. every bucket from first to last is there, empty ones included,
+// so gaps read as zero. add(bucket, item) folds an item into its bucket
+const buildTimeline = (items, empty, add) => {
+  const times = items.map(item => item.time.getTime());
+  const bucket = times.length > 0 && Math.max(...times) - Math.min(...times) <= 3 * DAY_MS ? 'hour' : 'day';
+
+  const buckets = {};
+  items.forEach(item => {
+    const key = bucketStart(item.time, bucket);
+    if (!buckets[key]) buckets[key] = { time: key, ...empty };
+    add(buckets[key], item);
+  });
+
+  const timeline = [];
+  if (times.length > 0) {
+    const last = bucketStart(new Date(Math.max(...times)), bucket);
+    for (let t = bucketStart(new Date(Math.min(...times)), bucket); t <= last; t = nextBucket(t, bucket)) {
+      timeline.push(buckets[t] || { time: t, ...empty });
+    }
+  }
+  return { bucket, timeline };
+};
+
+// everything the concept drilldown shows for one concept
+export const conceptDetail = ({ receipts, bounties = {} }, name, now = new Date(), attribution = DEFAULT_ATTRIBUTION) => {
+  const conceptReceipts = receipts.filter(r => r.concept === name);
+  const uses = conceptReceipts
+    .filter(isConceptUse)
+    .map(r => ({ ...r, time: receiptTime(r, now) }))
+    .filter(r => r.time);
+
+  const { bucket, timeline } = buildTimeline(uses, { clout: 0, paid: 0, free: 0 }, (b, r) => {
+    b.clout += r.clout || 0;
+    b[(r.clout || 0) > 0 ? 'paid' : 'free']++;
+  });
+
+  const conceptBounties = Array.isArray(bounties[name]) ? bounties[name] : [];
+  const { windowHours } = { ...DEFAULT_ATTRIBUTION, ...attribution };
+  const windows = bountyWindows(name, conceptBounties, receipts, now, attribution)
+    .map((window, i) => {
+      const start = receiptTime(conceptBounties[i], now);
+      return start ? { ...window, start: start.getTime(), end: start.getTime() + windowHours * HOUR_MS } : null;
+    })
+    .filter(Boolean);
+
+  const users = uses.reduce((acc, r) => {
+    if (!acc[r.user]) acc[r.user] = { name: r.user, count: 0, clout: 0 };
+    acc[r.user].count++;
+    acc[r.user].clout += r.clout || 0;
+    return acc;
+  }, {});
+
+  const actionSplit = CONCEPT_USE_ACTIONS
+    .map(action => {
+      const ofAction = uses.filter(r => r.action === action);
+      return { name: action, count: ofAction.length, clout: totalClout(ofAction) };
+    })
+    .filter(a => a.count > 0);
+
+  const hourly = Array.from({ length: 24 }, (_, hour) => ({ hour, clout: 0, count: 0 }));
+  uses.forEach(r => {
+    hourly[r.time.getHours()].clout += r.clout || 0;
+    hourly[r.time.getHours()].count++;
+  });
+
+  return {
+    bucket,
+    timeline,
+    bountyWindows: windows,
+    topUsers: Object.values(users).sort((a, b) => b.clout - a.clout || b.count - a.count).slice(0, 10),
+    actionSplit,
+    hourly,
+    receipts: conceptReceipts
+  };
+};
+
+// one user's history with you. tip_sent receipts name who you tipped, so those
+// are what you gave them back rather than what they gave you
+export const userProfile = (receipts, name, now = new Date()) => {
+  const theirs = receipts.filter(r => r.user === name);
+  const received = theirs
+    .filter(r => r.action !== 'tip_sent')
+    .map(r => ({ ...r, time: receiptTime(r, now) }));
+  const sent = theirs.filter(r => r.action === 'tip_sent');
+  const dated = received.filter(r => r.time);
+
+  const byAction = Object.values(received.reduce((acc, r) => {
+    if (!acc[r.action]) acc[r.action] = { action: r.action, count: 0, clout: 0 };
+    acc[r.action].count++;
+    acc[r.action].clout += r.clout || 0;
+    return acc;
+  }, {})).sort((a, b) => b.count - a.count);
+
+  const concepts = Object.values(received.filter(r => r.concept && isConceptUse(r)).reduce((acc, r) => {
+    if (!acc[r.concept]) acc[r.concept] = { name: r.concept, count: 0, clout: 0 };
+    acc[r.concept].count++;
+    acc[r.concept].clout += r.clout || 0;
+    return acc;
+  }, {})).sort((a, b) => b.count - a.count);
+
+  const times = dated.map(r => r.time.getTime());
+  const { bucket, timeline } = buildTimeline(dated, { clout: 0, count: 0 }, (b, r) => {
+    b.clout += r.clout || 0;
+    b.count++;
+  });
+
+  return {
+    name,
+    clout: totalClout(received),
+    actions: received.length,
+    byAction,
+    concepts,
+    firstSeen: times.length > 0 ? new Date(Math.min(...times)) : null,
+    lastSeen: times.length > 0 ? new Date(Math.max(...times)) : null,
+    bucket,
+    timeline,
+    tipsSent: { count: sent.length, clout: -totalClout(sent) },
+    receipts: theirs
+  };
+};
+
+// tips from someone before they count as a regular supporter
+export const REGULAR_TIPPER_MIN = 3;
+
+// tips in each direction paired up per user. tip receipts are clout they gave
+// you, tip_sent receipts clout you gave them. `unreturned` marks regular
+// supporters you've never tipped, `unreciprocated` people you tip who never tip you
+export const tipRelationships = (receipts, now = new Date()) => {
+  const people = {};
+  receipts
+    .filter(r => r.action === 'tip' || r.action === 'tip_sent')
+    .forEach(r => {
+      if (!people[r.user]) {
+        people[r.user] = { name: r.user, received: 0, receivedCount: 0, sent: 0, sentCount: 0, lastReceived: null, lastSent: null };
+      }
+      const person = people[r.user];
+      const time = receiptTime(r, now);
+      const later = (last) => time && (!last || time > last) ? time : last;
+      if (r.action === 'tip') {
+        person.received += r.clout || 0;
+        person.receivedCount++;
+        person.lastReceived = later(person.lastReceived);
+      } else {
+        person.sent -= r.clout || 0;
+        person.sentCount++;
+        person.lastSent = later(person.lastSent);
+      }
+    });
+
+  return Object.values(people)
+    .map(person => ({
+      ...person,
+      net: person.received - person.sent,
+      unreturned: person.receivedCount >= REGULAR_TIPPER_MIN && person.sentCount === 0,
+      unreciprocated: person.sentCount > 0 && person.receivedCount === 0
+    }))
+    .sort((a, b) => (b.received + b.sent) - (a.received + a.sent));
+};
+
+export const userStats = (receipts) => receipts.reduce((acc, r) => {
+  if (r.user !== 'you') {
+    acc[r.user] = (acc[r.user] || 0) + 1;
+  }
+  return acc;
+}, {});
+
+export const userValueStats = (receipts) => receipts.reduce((acc, r) => {
+  if (r.user !== 'you') {
+    acc[r.user] = (acc[r.user] || 0) + (r.clout || 0);
+  }
+  return acc;
+}, {});
+
+// { alice: 3 } -> [{ name: 'alice', [key]: 3 }], highest first
+export const topEntries = (stats, key, count = 10) => Object.entries(stats)
+  .map(([name, value]) => ({ name, [key]: value }))
+  .sort((a, b) => b[key] - a[key])
+  .slice(0, count);
+
+export const actionStats = (receipts) => receipts.reduce((acc, r) => {
+  acc[r.action] = (acc[r.action] || 0) + 1;
+  return acc;
+}, {});
+
+// like and tip clout summed per hour of day
+export const timeOfDayStats = (receipts) => receipts
+  .filter(r => ['like', 'tip'].includes(r.action))
+  .reduce((acc, r) => {
+    const hour = parseReceiptHour(r.date);
+    if (hour !== null) {
+      acc[hour] = (acc[hour] || 0) + (r.clout || 0);
+    }
+    return acc;
+  }, {});
+
+// slots with fewer like/tip events than this are too thin to read much into
+export const HEATMAP_MIN_EVENTS = 5;
+// posts made at an hour before it can be recommended
+export const HEATMAP_MIN_POSTS = 2;
+// likes and tips this many hours from a post's hour are credited to it
+export const POST_RESPONSE_HOURS = 3;
+// your own posting: new posts, and drafts, which the feed often shows without
+// a matching "created" row
+export const POST_ACTIONS = ['self_create', 'draft_cost'];
+
+// mean with a 95% confidence band, null for no values. one value tells us
+// little, so its band runs from zero to twice it
+const meanBand = (values) => {
+  if (values.length === 0) return null;
+  const m = mean(values);
+  const margin = values.length > 1 ? 1.96 * stdev(values) / Math.sqrt(values.length) : m;
+  return { mean: m, low: Math.max(0, m - margin), high: m + margin };
+};
+
+// like/tip clout by weekday (0 = sunday) and hour: 7 rows of 24 slots. perEvent
+// averages the events in the slot, perDay the days the slot saw any; both
+// null when empty. posts counts your own posting in the slot
+export const postingHeatmap = (receipts, now = new Date()) => {
+  const slots = Array.from({ length: 7 }, (_, day) =>
+    Array.from({ length: 24 }, (_, hour) => ({ day, hour, events: [], days: {}, posts: 0 }))
+  );
+
+  receipts.forEach(r => {
+    const time = receiptTime(r, now);
+    if (!time) return;
+    const slot = slots[time.getDay()][time.getHours()];
+    if (POST_ACTIONS.includes(r.action)) {
+      slot.posts++;
+    } else if (r.action === 'like' || r.action === 'tip') {
+      const day = time.toDateString();
+      slot.events.push(r.clout || 0);
+      slot.days[day] = (slot.days[day] || 0) + (r.clout || 0);
+    }
+  });
+
+  return slots.map(row => row.map(({ day, hour, events, days, posts }) => ({
+    day,
+    hour,
+    events: events.length,
+    clout: events.reduce((sum, clout) => sum + clout, 0),
+    activeDays: Object.keys(days).length,
+    perEvent: meanBand(events),
+    perDay: meanBand(Object.values(days)),
+    posts,
+    reliable: events.length >= HEATMAP_MIN_EVENTS
+  })));
+};
+
+// hours of the day ranked for posting. a post is credited with the like/tip
+// clout of the POST_RESPONSE_HOURS starting at its hour, and each hour scores
+// that clout per post made there, so hours that only look good because you
+// post a lot then don't win. hours with under HEATMAP_MIN_POSTS posts are
+// left out; with no hour past that, hours rank by clout per active day instead
+export const bestPostingHours = (heatmap) => {
+  const hours = Array.from({ length: 24 }, (_, hour) => {
+    const column = heatmap.map(row => row[hour]);
+    return {
+      hour,
+      clout: column.reduce((sum, slot) => sum + slot.clout, 0),
+      events: column.reduce((sum, slot) => sum + slot.events, 0),
+      activeDays: column.reduce((sum, slot) => sum + slot.activeDays, 0),
+      posts: column.reduce((sum, slot) => sum + slot.posts, 0)
+    };
+  });
+
+  const posted = hours.filter(h => h.posts >= HEATMAP_MIN_POSTS);
+  if (posted.length > 0) {
+    return posted
+      .map(h => {
+        let response = 0;
+        for (let k = 0; k < POST_RESPONSE_HOURS; k++) response += hours[(h.hour + k) % 24].clout;
+        return { hour: h.hour, basis: 'post', score: response / h.posts, samples: h.posts };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  return hours
+    .filter(h => h.events >= HEATMAP_MIN_EVENTS)
+    .map(h => ({ hour: h.hour, basis: 'day', score: h.clout / h.activeDays, samples: h.activeDays }))
+    .sort((a, b) => b.score - a.score);
+};
+
+export const FLOW_BUCKETS = ['hour', 'day', 'week'];
+
+// net clout per hour, day or week with the running total at the end of each;
+// a point covers time up to (not including) end.
+// every bucket from the first receipt to the last is there so quiet stretches
+// keep their width; receipts with unreadable dates are left out
+export const cloutFlow = (receipts, bucket = 'day', now = new Date()) => {
+  const buckets = {};
+  let first = Infinity;
+  let last = -Infinity;
+  receipts.forEach(r => {
+    const time = receiptTime(r, now);
+    if (!time) return;
+    const key = bucketStart(time, bucket);
+    buckets[key] = (buckets[key] || 0) + (r.clout || 0);
+    first = Math.min(first, key);
+    last = Math.max(last, key);
+  });
+
+  const flow = [];
+  let total = 0;
+  for (let t = first; t <= last; t = nextBucket(t, bucket)) {
+    total += buckets[t] || 0;
+    flow.push({ time: t, end: nextBucket(t, bucket), clout: buckets[t] || 0, total });
+  }
+  return flow;
+};
+
+// ledger categories by action. anything else lands in 'other' on whichever
+// side its sign puts it
+export const LEDGER_CATEGORIES = {
+  income: {
+    tips: ['tip'],
+    likes: ['like'],
+    listens: ['listen'],
+    replies: ['reply'],
+    concepts: CONCEPT_USE_ACTIONS,
+    daily: ['daily_bounty', 'daily_signin']
+  },
+  spending: {
+    bounties: ['bounty'],
+    drafts: ['draft_cost'],
+    'tips sent': ['tip_sent'],
+    'self likes': ['self_like']
+  }
+};
+
+// hours without a single receipt before we suspect some are missing
+export const LEDGER_GAP_HOURS = 24;
+
+// which side and category a receipt books to; amounts are positive either way
+export const ledgerEntry = (r) => {
+  const clout = r.clout || 0;
+  for (const side of ['income', 'spending']) {
+    const category = Object.keys(LEDGER_CATEGORIES[side]).find(name => LEDGER_CATEGORIES[side][name].includes(r.action));
+    if (category) return { side, category, amount: Math.abs(clout) };
+  }
+  return { side: clout < 0 ? 'spending' : 'income', category: 'other', amount: Math.abs(clout) };
+};
+
+// income and spending by category per day or week, with the balance at the end
+// of each starting from `opening`. empty buckets are kept so the balance line
+// doesn't skip; undated receipts are left out
+export const ledger = (receipts, bucket = 'day', now = new Date(), opening = 0) => {
+  const buckets = {};
+  receipts.forEach(r => {
+    const time = receiptTime(r, now);
+    if (!time) return;
+    const key = bucketStart(time, bucket);
+    if (!buckets[key]) buckets[key] = { income: {}, spending: {} };
+    const { side, category, amount } = ledgerEntry(r);
+    buckets[key][side][category] = (buckets[key][side][category] || 0) + amount;
+  });
+
+  const keys = Object.keys(buckets).map(Number);
+  if (keys.length === 0) return [];
+
+  const rows = [];
+  let balance = opening;
+  for (let t = Math.min(...keys); t <= Math.max(...keys); t = nextBucket(t, bucket)) {
+    const { income, spending } = buckets[t] || { income: {}, spending: {} };
+    const incomeTotal = Object.values(income).reduce((sum, n) => sum + n, 0);
+    const spendingTotal = Object.values(spending).reduce((sum, n) => sum + n, 0);
+    balance += incomeTotal - spendingTotal;
+    rows.push({ time: t, end: nextBucket(t, bucket), income, spending, incomeTotal, spendingTotal, net: incomeTotal - spendingTotal, balance });
+  }
+  return rows;
+};
+
+// ledger rows added up by category
+export const ledgerTotals = (rows) => {
+  const totals = { income: {}, spending: {}, incomeTotal: 0, spendingTotal: 0, net: 0 };
+  rows.forEach(row => {
+    ['income', 'spending'].forEach(side => Object.entries(row[side]).forEach(([category, amount]) => {
+      totals[side][category] = (totals[side][category] || 0) + amount;
+    }));
+    totals.incomeTotal += row.incomeTotal;
+    totals.spendingTotal += row.spendingTotal;
+    totals.net += row.net;
+  });
+  return totals;
+};
+
+// stretches of more than `hours` with no receipts at all, oldest first.
+// an active account always has something, so these usually mean a missed paste
+export const receiptGaps = (receipts, now = new Date(), hours = LEDGER_GAP_HOURS) => {
+  const times = receipts
+    .map(r => receiptTime(r, now))
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+  const gaps = [];
+  for (let i = 1; i < times.length; i++) {
+    const length = (times[i] - times[i - 1]) / HOUR_MS;
+    if (length > hours) gaps.push({ start: times[i - 1], end: times[i], hours: Math.round(length) });
+  }
+  return gaps;
+};
+
+// balances you've read off the site ({ time, balance }) checked against the
+// receipts. the earliest one fixes the opening balance (before any receipt);
+// later ones get the balance the receipts predict and how far off it is -
+// a difference means receipts are missing or misread in between
+export const reconcileBalance = (receipts, checkpoints, now = new Date()) => {
+  if (checkpoints.length === 0) return { opening: null, checkpoints: [] };
+
+  const dated = receipts
+    .map(r => ({ time: receiptTime(r, now), clout: r.clout || 0 }))
+    .filter(r => r.time);
+  const netThrough = (time) => dated.filter(r => r.time <= time).reduce((sum, r) => sum + r.clout, 0);
+
+  const sorted = checkpoints
+    .map(checkpoint => ({ ...checkpoint, time: new Date(checkpoint.time) }))
+    .sort((a, b) => a.time - b.time);
+  const opening = sorted[0].balance - netThrough(sorted[0].time);
+
+  return {
+    opening,
+    checkpoints: sorted.map((checkpoint, i) => {
+      const expected = i === 0 ? null : opening + netThrough(checkpoint.time);
+      return { ...checkpoint, expected, difference: expected === null ? null : checkpoint.balance - expected };
+    })
+  };
+};
+
+// what posts earn, as opposed to concept uses
+export const POST_EARNING_ACTIONS = ['like', 'tip', 'listen'];
+
+// draft spending per day or week against the like, tip and listen clout of the
+// period after it, which is when those drafts' posts earn. only periods with
+// drafts are listed. a period is complete once receipts run past the end of
+// the one after it; paidBack is null until then
+export const draftEfficiency = (receipts, bucket = 'day', now = new Date()) => {
+  const spent = {};
+  const drafts = {};
+  const earned = {};
+  let latest = -Infinity;
+  receipts.forEach(r => {
+    const time = receiptTime(r, now);
+    if (!time) return;
+    latest = Math.max(latest, time.getTime());
+    const key = bucketStart(time, bucket);
+    if (r.action === 'draft_cost') {
+      spent[key] = (spent[key] || 0) + Math.abs(r.clout || 0);
+      drafts[key] = (drafts[key] || 0) + 1;
+    } else if (POST_EARNING_ACTIONS.includes(r.action)) {
+      earned[key] = (earned[key] || 0) + (r.clout || 0);
+    }
+  });
+
+  const rows = Object.keys(spent)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(time => {
+      const following = nextBucket(time, bucket);
+      const followingEarned = earned[following] || 0;
+      const complete = latest >= nextBucket(following, bucket);
+      return {
+        time,
+        drafts: drafts[time],
+        spent: spent[time],
+        earned: followingEarned,
+        costPerClout: followingEarned > 0 ? spent[time] / followingEarned : null,
+        complete,
+        paidBack: complete ? followingEarned >= spent[time] : null
+      };
+    });
+
+  const totalSpent = rows.reduce((sum, row) => sum + row.spent, 0);
+  const totalEarned = rows.reduce((sum, row) => sum + row.earned, 0);
+  return {
+    rows,
+    spent: totalSpent,
+    earned: totalEarned,
+    costPerClout: totalEarned > 0 ? totalSpent / totalEarned : null
+  };
+};
+
+// free clout you claim once a day
+export const DAILY_ACTIONS = ['daily_signin', 'daily_bounty'];
+
+// streaks for each daily claim. the calendar runs from the first claim to the
+// day of the newest receipt of any kind - past that we can't tell a missed day
+// from one that wasn't pasted. that last day only breaks the current streak
+// once it's claimed or over, and missed days are costed at the average claim
+export const dailyStreaks = (receipts, now = new Date()) => {
+  const dated = receipts
+    .map(r => ({ ...r, time: receiptTime(r, now) }))
+    .filter(r => r.time);
+  if (dated.length === 0) return {};
+  const lastDay = bucketStart(new Date(Math.max(...dated.map(r => r.time.getTime()))), 'day');
+
+  return Object.fromEntries(DAILY_ACTIONS.map(action => {
+    const claims = {};
+    dated.filter(r => r.action === action).forEach(r => {
+      const day = bucketStart(r.time, 'day');
+      claims[day] = (claims[day] || 0) + (r.clout || 0);
+    });
+    const claimDays = Object.keys(claims).map(Number);
+    if (claimDays.length === 0) {
+      return [action, { days: [], current: 0, longest: 0, claimed: 0, missed: 0, total: 0, average: 0, missedCost: 0 }];
+    }
+
+    const days = [];
+    for (let day = Math.min(...claimDays); day <= lastDay; day = nextBucket(day, 'day')) {
+      days.push({ day, claimed: day in claims, clout: claims[day] || 0 });
+    }
+
+    let longest = 0;
+    let run = 0;
+    days.forEach(d => {
+      run = d.claimed ? run + 1 : 0;
+      longest = Math.max(longest, run);
+    });
+    // today can still be claimed, so an open last day doesn't end the streak
+    const open = !days.at(-1).claimed && lastDay === bucketStart(now, 'day');
+    let current = 0;
+    for (let i = days.length - (open ? 2 : 1); i >= 0 && days[i].claimed; i--) current++;
+
+    const total = Object.values(claims).reduce((sum, clout) => sum + clout, 0);
+    const average = total / claimDays.length;
+    const missed = days.filter(d => !d.claimed).length - (open ? 1 : 0);
+    return [action, {
+      days,
+      current,
+      longest,
+      claimed: claimDays.length,
+      missed,
+      total,
+      average,
+      missedCost: Math.round(missed * average)
+    }];
+  }));
+};
+
+export const FORECAST_HORIZONS = [7, 30];
+// days of history the overall trend is fitted to
+export const FORECAST_LOOKBACK_DAYS = 14;
+// days since first use before a concept gets a decay estimate
+export const FORECAST_MIN_DAYS = 3;
+// concepts losing half their daily income faster than this are fading
+export const FADING_HALF_LIFE_DAYS = 14;
+
+// least squares line through values at x = 0, 1, 2...
+const linearFit = (values) => {
+  const n = values.length;
+  const xMean = (n - 1) / 2;
+  const yMean = mean(values);
+  let sxy = 0;
+  let sxx = 0;
+  values.forEach((y, x) => {
+    sxy += (x - xMean) * (y - yMean);
+    sxx += (x - xMean) ** 2;
+  });
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  const intercept = yMean - slope * xMean;
+  const residuals = values.map((y, x) => y - (intercept + slope * x));
+  const sd = n > 2 ? Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / (n - 2)) : 0;
+  return { slope, intercept, sd };
+};
+
+// the `days` after a straight-line fit of n values summed, with a 95%
+// prediction interval. day-to-day noise partly cancels over the horizon.
+// floor keeps days from going below zero, for series that can't
+const projectLinear = ({ slope, intercept, sd }, n, days, floor = true) => {
+  let expected = 0;
+  for (let k = 0; k < days; k++) {
+    const day = intercept + slope * (n + k);
+    expected += floor ? Math.max(0, day) : day;
+  }
+  const margin = 1.96 * sd * Math.sqrt(days);
+  return {
+    expected: Math.round(expected),
+    low: Math.round(floor ? Math.max(0, expected - margin) : expected - margin),
+    high: Math.round(expected + margin)
+  };
+};
+
+// the same for a fit of log(1 + clout), where the interval is taken per day
+const projectLog = ({ slope, intercept, sd }, n, days) => {
+  const total = (offset) => {
+    let sum = 0;
+    for (let k = 0; k < days; k++) sum += Math.max(0, Math.expm1(intercept + slope * (n + k) + offset));
+    return Math.round(sum);
+  };
+  return { expected: total(0), low: total(-1.96 * sd), high: total(1.96 * sd) };
+};
+
+// projected income and net over FORECAST_HORIZONS, overall and per concept.
+// the overall projection extends the straight-line trend of the last
+// FORECAST_LOOKBACK_DAYS complete days. each concept's daily earnings since its
+// first use are fitted as exponential decay (a line through log(1 + clout)),
+// which gives its half-life and a projection that fades with it. growth isn't
+// compounded forward - a concept that's picking up is projected flat at its
+// current level. today isn't over, so it's left out of the history
+export const forecast = (receipts, now = new Date()) => {
+  const today = bucketStart(now, 'day');
+  const days = ledger(receipts, 'day', now).filter(row => row.time < today);
+  if (days.length === 0) return null;
+
+  const recent = days.slice(-FORECAST_LOOKBACK_DAYS);
+  const incomeFit = linearFit(recent.map(row => row.incomeTotal));
+  const netFit = linearFit(recent.map(row => row.net));
+  const horizons = (project) => Object.fromEntries(FORECAST_HORIZONS.map(h => [h, project(h)]));
+
+  const lastDay = days.at(-1).time;
+  const daily = {};
+  receipts.filter(r => r.concept && isConceptUse(r)).forEach(r => {
+    const time = receiptTime(r, now);
+    if (!time) return;
+    const day = bucketStart(time, 'day');
+    if (day > lastDay) return;
+    if (!daily[r.concept]) daily[r.concept] = {};
+    daily[r.concept][day] = (daily[r.concept][day] || 0) + (r.clout || 0);
+  });
+
+  const concepts = Object.entries(daily).map(([name, byDay]) => {
+    const firstUse = Math.min(...Object.keys(byDay).map(Number));
+    const series = [];
+    for (let day = firstUse; day <= lastDay; day = nextBucket(day, 'day')) series.push(byDay[day] || 0);
+    if (series.length < FORECAST_MIN_DAYS) {
+      return { name, firstUse: new Date(firstUse), days: series.length, halfLife: null, dailyChange: null, fading: false, projections: null };
+    }
+
+    const fit = linearFit(series.map(clout => Math.log1p(Math.max(0, clout))));
+    const halfLife = fit.slope < 0 ? Math.LN2 / -fit.slope : null;
+    const outlook = fit.slope < 0 ? fit : { ...fit, slope: 0, intercept: fit.intercept + fit.slope * (series.length - 1) };
+    return {
+      name,
+      firstUse: new Date(firstUse),
+      days: series.length,
+      halfLife,
+      dailyChange: Math.expm1(fit.slope) * 100,
+      fading: halfLife !== null && halfLife <= FADING_HALF_LIFE_DAYS,
+      projections: horizons(h => projectLog(outlook, series.length, h))
+    };
+  }).sort((a, b) => (b.projections?.[30].expected ?? -1) - (a.projections?.[30].expected ?? -1));
+
+  return {
+    history: days.map(row => ({ time: row.time, income: row.incomeTotal, net: row.net })),
+    dailyTrend: incomeFit.slope,
+    income: horizons(h => projectLinear(incomeFit, recent.length, h)),
+    net: horizons(h => projectLinear(netFit, recent.length, h, false)),
+    concepts
+  };
+};
+
+// an hour is unusual at this many times its normal rate...
+export const ANOMALY_FACTOR = 5;
+// ...and with at least this many receipts, so 2 against a normal 0.3 isn't news
+export const ANOMALY_MIN_COUNT = 5;
+// tips from one user in an hour that make a burst
+export const TIP_BURST_MIN = 5;
+
+// back-to-back unusual hours ({ time, receipts, baseline }) are one event
+const mergeRuns = (spikes) => spikes
+  .sort((a, b) => a.time - b.time)
+  .reduce((runs, spike) => {
+    const run = runs.at(-1);
+    if (run && run.end === spike.time) {
+      run.receipts.push(...spike.receipts);
+      run.baseline += spike.baseline;
+      run.end = spike.time + HOUR_MS;
+    } else {
+      runs.push({ ...spike, receipts: [...spike.receipts], end: spike.time + HOUR_MS });
+    }
+    return runs;
+  }, []);
+
+// hours in `byHour` ({ hourStart: [receipts] }) well above the average hour
+// from `first` to `last`, the hour itself left out of the average
+const hourlySpikes = (byHour, first, last) => {
+  const hours = Math.round((last - first) / HOUR_MS) + 1;
+  const total = Object.values(byHour).reduce((sum, list) => sum + list.length, 0);
+  return mergeRuns(Object.entries(byHour)
+    .map(([time, list]) => ({ time: Number(time), receipts: list, baseline: hours > 1 ? (total - list.length) / (hours - 1) : 0 }))
+    .filter(({ receipts, baseline }) => receipts.length >= ANOMALY_MIN_COUNT && receipts.length >= ANOMALY_FACTOR * baseline));
+};
+
+const groupByHour = (receipts) => receipts.reduce((acc, r) => {
+  const key = bucketStart(r.time, 'hour');
+  (acc[key] = acc[key] || []).push(r);
+  return acc;
+}, {});
+
+// unusual hours: a concept used far more than its normal rate since first use,
+// far more likes than the usual hour, or one user sending a burst of tips.
+// baseline is what the finding's hours would normally see and factor how many
+// times that it got (null from nothing). each finding keeps the receipts
+// behind it, and its id stays the same across imports. biggest jumps first
+export const detectAnomalies = (receipts, now = new Date()) => {
+  const dated = receipts
+    .map(r => ({ r, time: receiptTime(r, now) }))
+    .filter(({ time }) => time);
+  if (dated.length === 0) return [];
+  const last = bucketStart(new Date(Math.max(...dated.map(({ time }) => time.getTime()))), 'hour');
+  const first = bucketStart(new Date(Math.min(...dated.map(({ time }) => time.getTime()))), 'hour');
+  const finding = (kind, subject, spike) => ({
+    id: `${kind}:${subject}:${spike.time}`,
+    kind,
+    subject,
+    time: new Date(spike.time),
+    hours: Math.round((spike.end - spike.time) / HOUR_MS),
+    count: spike.receipts.length,
+    baseline: spike.baseline,
+    factor: spike.baseline > 0 ? spike.receipts.length / spike.baseline : null,
+    receipts: spike.receipts.map(({ r }) => r)
+  });
+
+  const findings = [];
+
+  const uses = {};
+  dated.filter(({ r }) => r.concept && isConceptUse(r)).forEach(entry => {
+    (uses[entry.r.concept] = uses[entry.r.concept] || []).push(entry);
+  });
+  Object.entries(uses).forEach(([concept, list]) => {
+    const since = bucketStart(new Date(Math.min(...list.map(({ time }) => time.getTime()))), 'hour');
+    hourlySpikes(groupByHour(list), since, last).forEach(spike => findings.push(finding('concept_surge', concept, spike)));
+  });
+
+  const likes = dated.filter(({ r }) => r.action === 'like');
+  hourlySpikes(groupByHour(likes), first, last).forEach(spike => findings.push(finding('like_spike', 'likes', spike)));
+
+  const tips = {};
+  dated.filter(({ r }) => r.action === 'tip').forEach(entry => {
+    (tips[entry.r.user] = tips[entry.r.user] || []).push(entry);
+  });
+  const hours = Math.max(1, Math.round((last - first) / HOUR_MS));
+  Object.entries(tips).forEach(([user, list]) => {
+    mergeRuns(Object.entries(groupByHour(list))
+      .filter(([, hour]) => hour.length >= TIP_BURST_MIN)
+      .map(([time, hour]) => ({ time: Number(time), receipts: hour, baseline: (list.length - hour.length) / hours })))
+      .forEach(spike => findings.push(finding('tip_burst', user, spike)));
+  });
+
+  return findings.sort((a, b) => (b.factor ?? Infinity) - (a.factor ?? Infinity) || b.count - a.count);
+};
+
+// a number next to its value for the previous period. percent is null when
+// there's nothing to compare against
+export const compareValues = (current, previous) => {
+  const delta = current - previous;
+  return {
+    current,
+    previous,
+    delta,
+    percent: previous ? Math.round((delta / Math.abs(previous)) * 100) : null
+  };
+};
+
+// how far a concept's earnings have to move before it's flagged, both relative
+// and in clout so a 2c -> 4c concept doesn't count as doubling
+export const SHARP_CHANGE_PERCENT = 50;
+export const SHARP_CHANGE_MIN = 10;
+
+// conceptData for two periods -> { name: { clout, netIncome, trend } } covering
+// concepts seen in either. trend is 'up', 'down' or null
+export const conceptTrends = (current, previous) => {
+  const byName = (concepts) => Object.fromEntries(concepts.map(c => [c.name, c]));
+  const now = byName(current);
+  const before = byName(previous);
+
+  return Object.fromEntries([...new Set([...Object.keys(now), ...Object.keys(before)])].map(name => {
+    const clout = compareValues(now[name]?.clout || 0, before[name]?.clout || 0);
+    const netIncome = compareValues(now[name]?.netIncome || 0, before[name]?.netIncome || 0);
+
+    const sharp = Math.abs(clout.delta) >= SHARP_CHANGE_MIN &&
+      (clout.percent === null || Math.abs(clout.percent) >= SHARP_CHANGE_PERCENT);
+    const trend = sharp ? (clout.delta > 0 ? 'up' : 'down') : null;
+
+    return [name, { clout, netIncome, trend }];
+  }));
+};
@@ -0,0 +1,47 @@
+// tagged bounties are stored per concept: { concept: [{ amount, date, timestamp }] }
+// and addressed by concept and position in that concept's list. untagged ones
+// are the bounty receipts' { clout, date, timestamp }
+import { stampReceipts } from './analytics.js';
+
+export const stampBounties = (bountiesByConcept, capturedAt) => Object.fromEntries(
+  Object.entries(bountiesByConcept).map(([name, list]) => [name, Array.isArray(list) ? stampReceipts(list, capturedAt) : list])
+);
+
+// a copy of the per-concept bounties with one taken out, dropping concepts left with none.
+// later bounties in that concept move up one place
+export const withoutBounty = (bountiesByConcept, concept, index) => {
+  const remaining = bountiesByConcept[concept].filter((_, i) => i !== index);
+  const { [concept]: _removed, ...rest } = bountiesByConcept;
+  return remaining.length > 0 ? { ...rest, [concept]: remaining } : rest;
+};
+
+// untagged bounties moved onto concepts. assignments are { index, concept } with
+// index into untagged; returns both lists
+export const withBountiesTagged = (bountiesByConcept, untagged, assignments) => {
+  const tagged = { ...bountiesByConcept };
+  assignments.forEach(({ index, concept }) => {
+    const { clout, date, timestamp } = untagged[index];
+    tagged[concept] = [
+      ...(Array.isArray(tagged[concept]) ? tagged[concept] : []),
+      { amount: clout, date, ...(timestamp ? { timestamp } : {}) }
+    ];
+  });
+  const assigned = new Set(assignments.map(({ index }) => index));
+  return { bounties: tagged, untagged: untagged.filter((_, i) => !assigned.has(i)) };
+};
+
+// a tagged bounty moved to the end of another concept's list
+export const withBountyMoved = (bountiesByConcept, concept, index, newConcept) => {
+  if (newConcept === concept) return bountiesByConcept;
+  const rest = withoutBounty(bountiesByConcept, concept, index);
+  return { ...rest, [newConcept]: [...(rest[newConcept] || []), bountiesByConcept[concept][index]] };
+};
+
+// a tagged bounty put back on the untagged list; returns both lists
+export const withBountyUntagged = (bountiesByConcept, untagged, concept, index) => {
+  const { amount, date, timestamp } = bountiesByConcept[concept][index];
+  return {
+    bounties: withoutBounty(bountiesByConcept, concept, index),
+    untagged: [...untagged, { clout: amount, date, ...(timestamp ? { timestamp } : {}) }]
+  };
+};
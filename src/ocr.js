@@ -0,0 +1,123 @@
+// rebuilds receipts from ocr'd screenshots of the activity feed
+import { classifyReceipt } from './activity.js';
+
+// tesseract line confidence (0-100) below which a row needs a second look
+export const OCR_CONFIDENCE_THRESHOLD = 80;
+
+// a row starts with its clout: "+4¢", "-50¢", "0¢". ocr often reads ¢ as c or e
+const ROW_START = /^([+\-–—]?)\s?(\d+)\s?([¢cC€e]?)\s+(.*)$/;
+const DAY = /\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+(\d{1,2})\b/;
+const TIME = /\b(\d{1,2})[:.](\d{2})\s*([AP])\.?M\b/i;
+
+const startRow = (text) => {
+  const match = text.match(ROW_START);
+  // a bare number could be the start of a name, so insist on a sign or a cent
+  if (!match || (!match[1] && !match[3])) return null;
+
+  const sign = match[1] && match[1] !== '+' ? -1 : 1;
+  return { clout: sign * parseInt(match[2]), text: match[4] };
+};
+
+const finishRow = ({ clout, parts, confidence, lineCount }, classify) => {
+  let text = parts.join(' ');
+  const issues = [];
+
+  const day = text.match(DAY);
+  const time = text.match(TIME);
+  let date = '';
+  if (day && time) {
+    date = `${day[1]} ${day[2]} ${time[1].padStart(2, '0')}:${time[2]} ${time[3].toUpperCase()}M`;
+    text = text.replace(day[0], ' ').replace(time[0], ' ');
+  } else {
+    issues.push('no date found');
+  }
+
+  const raw = text.replace(/\s+/g, ' ').trim();
+  const { user, action, concept } = classify(raw);
+
+  if (confidence < OCR_CONFIDENCE_THRESHOLD) issues.push(`ocr confidence ${Math.round(confidence)}%`);
+  if (action === 'unknown') issues.push('unrecognised text');
+  if (lineCount > 2) issues.push(`joined from ${lineCount} lines`);
+
+  return {
+    receipt: { user, action, concept, clout, date, raw },
+    confidence,
+    issues
+  };
+};
+
+// lines of one screenshot ({ text, confidence }) -> rows of { receipt, confidence, issues }
+// lines that don't start with clout are wrapped text from the row above
+export function parseOcrLines(lines, classify = classifyReceipt) {
+  const rows = [];
+  let current = null;
+
+  lines.forEach(({ text, confidence }) => {
+    const line = (text || '').replace(/\s+/g, ' ').trim();
+    if (!line) return;
+
+    const start = startRow(line);
+    if (start) {
+      if (current) rows.push(finishRow(current, classify));
+      current = { clout: start.clout, parts: [start.text], confidence, lineCount: 1 };
+    } else if (current) {
+      current.parts.push(line);
+      current.confidence = Math.min(current.confidence, confidence);
+      current.lineCount++;
+    }
+    // anything before the first row is page chrome (status bar, headers)
+  });
+
+  if (current) rows.push(finishRow(current, classify));
+  return rows;
+}
+
+const sameRow = (a, b) => a.receipt.clout === b.receipt.clout &&
+  a.receipt.date === b.receipt.date &&
+  a.receipt.raw === b.receipt.raw;
+
+// consecutive screenshots of a scrolling feed overlap, so drop the rows the
+// next page repeats from the bottom of the previous one
+export function mergeScreenshotRows(pages) {
+  return pages.reduce((merged, rows) => {
+    let overlap = Math.min(merged.length, rows.length);
+    while (overlap > 0) {
+      const tail = merged.slice(merged.length - overlap);
+      if (tail.every((row, i) => sameRow(row, rows[i]))) break;
+      overlap--;
+    }
+    return merged.concat(rows.slice(overlap));
+  }, []);
+}
+
+// reviewed rows -> the { receipts, bounties } shape the bookmarklet copies
+export function ocrRowsToData(rows) {
+  const receipts = rows.map(row => row.receipt);
+  const bounties = receipts
+    .filter(r => r.action === 'bounty')
+    .map(r => ({ clout: Math.abs(r.clout), date: r.date }));
+  return { receipts, bounties };
+}
+
+// ocr each image in order; tesseract is loaded on first use since it's big
+export async function recognizeScreenshots(files, onProgress = () => {}, classify = classifyReceipt) {
+  const { createWorker } = await import('tesseract.js');
+  const worker = await createWorker('eng');
+
+  try {
+    const pages = [];
+    for (let i = 0; i < files.length; i++) {
+      const { data } = await worker.recognize(files[i], {}, { blocks: true });
+      const lines = (data.blocks || []).flatMap(block =>
+        block.paragraphs.flatMap(paragraph =>
+          paragraph.lines.map(line => ({ text: line.text, confidence: line.confidence }))
+        )
+      );
+      pages.push(parseOcrLines(lines, classify));
+      onProgress(i + 1, files.length);
+    }
+    return mergeScreenshotRows(pages);
+  } finally {
+    await worker.terminate();
+  }
+}
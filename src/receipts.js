@@ -0,0 +1,131 @@
+// receipt identity - a receipt is what it says, not where it sat in a paste
+import { receiptTime } from './analytics.js';
+
+// the bookmarklet keeps the page's newlines and tabs, ocr and older pastes don't
+const squash = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+// 53-bit string hash (cyrb53) - short, and safe as a firestore document id
+const hash = (str) => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+};
+
+// only what the page said goes in, not how it was classified. user, action and
+// concept are left out on purpose: they're read from raw by the rules, so they
+// would only add a way for the same receipt to hash differently - a paste from
+// an older bookmarklet, a rules change or a reclassify would duplicate it, and
+// editing them would re-key it. raw already carries who did what to which
+// concept. the resolved timestamp (stampReceipt) keeps the same minute a year
+// apart distinct, which the page's year-less date can't
+export const receiptFingerprint = (r) => hash(JSON.stringify([
+  r.clout || 0,
+  r.timestamp || null,
+  squash(r.date),
+  squash(r.raw)
+]));
+
+// which copy of `fingerprint` a receipt's stored id says it is, Infinity when
+// it has no id or one from another fingerprint
+const storedCopy = (r, fingerprint) => {
+  const match = typeof r.id === 'string' && r.id.match(/^(.+)-(\d+)$/);
+  return match && match[1] === fingerprint ? Number(match[2]) : Infinity;
+};
+
+// id = fingerprint plus which copy of it this is, so two identical receipts
+// (the same fan liking two posts in one minute) keep separate ids. copies are
+// numbered in the order their stored ids give them, then list order - firestore
+// returns -10 before -2, and that mustn't renumber anything
+export const assignReceiptIds = (receipts) => {
+  const fingerprints = receipts.map(receiptFingerprint);
+  const copies = {};
+  fingerprints.forEach((fingerprint, i) => (copies[fingerprint] = copies[fingerprint] || []).push(i));
+
+  const ids = [];
+  Object.entries(copies).forEach(([fingerprint, indices]) => {
+    indices
+      .map((i, position) => ({ i, position, stored: storedCopy(receipts[i], fingerprint) }))
+      .sort((a, b) => (a.stored === b.stored ? 0 : a.stored - b.stored) || a.position - b.position)
+      .forEach(({ i }, n) => {
+        ids[i] = `${fingerprint}-${n + 1}`;
+      });
+  });
+  return receipts.map((r, i) => r.id === ids[i] ? r : { ...r, id: ids[i] });
+};
+
+// tombstones count the copies of each fingerprint that were deleted, or edited
+// into another one: { [fingerprint]: copies }
+export const buryReceipt = (tombstones, receipt) => {
+  const fingerprint = receiptFingerprint(receipt);
+  return { ...tombstones, [fingerprint]: (tombstones[fingerprint] || 0) + 1 };
+};
+
+// adds the incoming receipts we don't have yet. an incoming receipt is new when
+// the batch holds more copies of its fingerprint than we already do, so order,
+// overlap and partial pages don't matter. buried copies count as ones we have,
+// so pasting the page again doesn't bring back what was deleted or corrected
+export const mergeReceipts = (existing, incoming, tombstones = {}) => {
+  const current = assignReceiptIds(existing);
+  const have = {};
+  current.forEach(r => {
+    const fingerprint = receiptFingerprint(r);
+    have[fingerprint] = (have[fingerprint] || 0) + 1;
+  });
+  const added = assignReceiptIds(incoming).filter(r => {
+    const fingerprint = receiptFingerprint(r);
+    return storedCopy(r, fingerprint) > (have[fingerprint] || 0) + (tombstones[fingerprint] || 0);
+  });
+  return { receipts: assignReceiptIds([...current, ...added]), added };
+};
+
+const sameFields = (a, b) => Object.keys({ ...a, ...b }).every(key => a[key] === b[key]);
+
+// what to write and delete to get from one id'd receipt list to another.
+// changed receipts kept their id but not their contents (a reclassified user,
+// action or concept)
+export const diffReceipts = (before, after) => {
+  const beforeById = new Map(before.map(r => [r.id, r]));
+  const afterIds = new Set(after.map(r => r.id));
+  return {
+    added: after.filter(r => !beforeById.has(r.id)),
+    changed: after.filter(r => beforeById.has(r.id) && !sameFields(beforeById.get(r.id), r)),
+    removed: before.filter(r => !afterIds.has(r.id))
+  };
+};
+
+// receipts matching every filter that's set. user, action and concept match
+// exactly, text is a case-insensitive search of the raw receipt text
+export const searchReceipts = (receipts, { user = '', action = '', concept = '', text = '' } = {}) => {
+  const needle = text.trim().toLowerCase();
+  return receipts.filter(r =>
+    (!user || r.user === user) &&
+    (!action || r.action === action) &&
+    (!concept || r.concept === concept) &&
+    (!needle || (r.raw || '').toLowerCase().includes(needle))
+  );
+};
+
+// sorted copy. 'time' sorts by when it happened, anything else by that field;
+// receipts missing the value go last either way
+export const sortReceipts = (receipts, key = 'time', direction = 'desc', now = new Date()) => {
+  const value = key === 'time'
+    ? (r) => receiptTime(r, now)?.getTime() ?? null
+    : (r) => r[key] ?? null;
+  const sign = direction === 'asc' ? 1 : -1;
+
+  return receipts
+    .map(r => ({ r, v: value(r) }))
+    .sort((a, b) => {
+      if (a.v === null || b.v === null) return (a.v === null) - (b.v === null);
+      if (typeof a.v === 'string') return sign * a.v.localeCompare(b.v);
+      return sign * (a.v - b.v);
+    })
+    .map(({ r }) => r);
+};
@@ -0,0 +1,158 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseHTML } from 'linkedom';
+import { parseActivityRows, classifyReceipt, reclassifyReceipts, validateRules, buildBookmarklet, DEFAULT_RULES } from '../src/activity.js';
+
+describe('parseActivityRows', () => {
+  let document;
+  let receipts;
+  let bounties;
+
+  before(() => {
+    ({ document } = parseHTML(readFileSync(new URL('../file.html', import.meta.url), 'utf8')));
+    ({ receipts, bounties } = parseActivityRows(document));
+  });
+
+  it('reads every dated row of the saved page', () => {
+    assert.equal(receipts.length, 1973);
+    assert.ok(receipts.every(r => r.date && r.raw));
+  });
+
+  it('keeps receipts newest first', () => {
+    assert.match(receipts[0].date, /^Oct 21\s+01:15 PM$/);
+    assert.match(receipts.at(-1).date, /^Oct 12\s+03:28 PM$/);
+  });
+
+  it('splits concept uses into user, concept and action', () => {
+    assert.deepEqual(receipts[1], {
+      user: 'reyman',
+      action: 'generate',
+      concept: 'Crabbing',
+      clout: 4,
+      date: receipts[1].date,
+      raw: 'reyman used your concept 🦀 Crabbing to generate a new post draft.'
+    });
+  });
+
+  it('pulls the tipper out of tip receipts', () => {
+    const tip = receipts.find(r => r.action === 'tip');
+    assert.equal(tip.user, 'tonCrypto 🐐 ADL');
+    assert.ok(tip.clout > 0);
+  });
+
+  it('recognises every kind of row on the page', () => {
+    assert.deepEqual(receipts.filter(r => r.action === 'unknown'), []);
+
+    const byRaw = (raw) => receipts.find(r => r.raw === raw);
+    const published = byRaw('You published a new concept: Death.');
+    assert.equal(published.action, 'concept_published');
+    assert.equal(published.concept, 'Death');
+    assert.equal(published.clout, -1700);
+    assert.equal(byRaw('Generated new concept definition for concept "Chopped"').concept, 'Chopped');
+    assert.equal(byRaw('Someone claimed your referral code!').action, 'referral');
+    assert.equal(byRaw('You claimed the Expand the Cluster challenge!').action, 'challenge');
+    assert.equal(byRaw('You created a new image.').action, 'self_create');
+  });
+
+  it('collects bounty purchases as untagged bounties', () => {
+    assert.deepEqual(bounties.map(b => b.clout), [500, 260, 50]);
+    assert.equal(receipts.filter(r => r.action === 'bounty').length, 3);
+  });
+
+  it('copies the same data from the bookmarklet', async () => {
+    let copied;
+    const navigator = { clipboard: { writeText: async (text) => { copied = text; } } };
+    const run = new Function('document', 'navigator', 'alert', buildBookmarklet().slice('javascript:'.length));
+
+    run(document, navigator, () => {});
+    await Promise.resolve();
+
+    const { capturedAt, ...data } = JSON.parse(copied);
+    assert.deepEqual(data, { receipts, bounties });
+    assert.ok(Math.abs(new Date(capturedAt) - Date.now()) < 60 * 1000);
+  });
+});
+
+describe('classifyReceipt', () => {
+  it('reads likes of several posts and of songs', () => {
+    assert.deepEqual(classifyReceipt('Vasco liked 3 of your posts.'), { user: 'Vasco', action: 'like', concept: null });
+    assert.deepEqual(classifyReceipt('BeRu liked your song Ethereal Embrace.'), { user: 'BeRu', action: 'like', concept: null });
+    assert.equal(classifyReceipt('You liked your own post.').action, 'self_like');
+  });
+
+  it('reads replies to songs', () => {
+    assert.deepEqual(classifyReceipt('BeRu replied to your song Kings.'), { user: 'BeRu', action: 'reply', concept: null });
+  });
+
+  it('keeps a named referrer and hides an anonymous one', () => {
+    assert.equal(classifyReceipt('Vasco claimed your referral code!').user, 'Vasco');
+    assert.equal(classifyReceipt('Someone claimed your referral code!').user, 'you');
+  });
+
+  it('strips the emoji off published concept names', () => {
+    assert.equal(classifyReceipt('You published a new concept: ☀️ gm simulants.').concept, 'gm simulants');
+  });
+});
+
+describe('classification rules', () => {
+  const waves = { pattern: /^(.+?) waved at your post about [^\w\s]*(.+?)\.$/.source, action: 'wave', user: 1, concept: 2 };
+
+  it('uses the first rule that matches', () => {
+    assert.deepEqual(classifyReceipt('Vasco waved at your post about ✨ Japexican.', [waves, ...DEFAULT_RULES]), {
+      user: 'Vasco',
+      action: 'wave',
+      concept: 'Japexican'
+    });
+    assert.equal(classifyReceipt('Vasco waved at your post about ✨ Japexican.').action, 'unknown');
+  });
+
+  it('reports rules that cannot run', () => {
+    assert.deepEqual(validateRules([waves, { pattern: '(', action: 'x' }, { pattern: 'x', action: ' ' }]), {
+      1: 'Invalid regular expression: /(/: Unterminated group',
+      2: 'action is empty'
+    });
+    assert.deepEqual(validateRules(DEFAULT_RULES), {});
+  });
+
+  it('reclassifies stored receipts from their raw text', () => {
+    const stored = [
+      { user: 'you', action: 'unknown', concept: null, clout: 0, date: 'Oct 12 03:28 PM', raw: 'Vasco waved at your post about Love.' },
+      { user: 'Vasco', action: 'like', concept: null, clout: 1, date: 'Oct 12 03:28 PM', raw: 'Vasco liked your post.' }
+    ];
+
+    const { receipts, changed } = reclassifyReceipts(stored, [waves, ...DEFAULT_RULES]);
+
+    assert.deepEqual(changed, [0]);
+    assert.deepEqual(receipts[0], { ...stored[0], user: 'Vasco', action: 'wave', concept: 'Love' });
+    assert.equal(receipts[1], stored[1]);
+  });
+
+  it('leaves receipts corrected by hand alone when reclassifying', () => {
+    const stored = [
+      { user: 'Vasco', action: 'like', concept: null, clout: 0, date: 'Oct 12 03:28 PM', raw: 'Vasco waved at your post about Love.', edited: true },
+      { user: 'you', action: 'unknown', concept: null, clout: 0, date: 'Oct 12 03:29 PM', raw: 'Vasco waved at your post about Love.' }
+    ];
+
+    const { receipts, changed, skipped } = reclassifyReceipts(stored, [waves, ...DEFAULT_RULES]);
+
+    assert.deepEqual(changed, [1]);
+    assert.deepEqual(skipped, [0]);
+    assert.equal(receipts[0], stored[0]);
+    assert.equal(receipts[1].action, 'wave');
+  });
+
+  it('carries custom rules into the bookmarklet', async () => {
+    const { document } = parseHTML('<div class="flex items-center px-2"><div class="text-green-500">+5¢</div><div class="pl-1 flex-1 min-w-0">Vasco waved at your post about 100% Love.</div><div class="opacity-60">Oct 12 03:28 PM</div></div>');
+    const percentWaves = { ...waves, pattern: /^(.+?) waved at your post about (\d+% .+?)\.$/.source };
+    const bookmarklet = buildBookmarklet([percentWaves, ...DEFAULT_RULES]);
+    assert.ok(!bookmarklet.includes('%'));
+
+    let copied;
+    const navigator = { clipboard: { writeText: async (text) => { copied = text; } } };
+    new Function('document', 'navigator', 'alert', bookmarklet.slice('javascript:'.length))(document, navigator, () => {});
+    await Promise.resolve();
+
+    assert.equal(JSON.parse(copied).receipts[0].concept, '100% Love');
+  });
+});
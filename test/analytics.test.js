@@ -0,0 +1,780 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseHTML } from 'linkedom';
+import { parseActivityRows } from '../src/activity.js';
+import * as analytics from '../src/analytics.js';
+
+// the fixture runs Oct 12 - Oct 21, so pin "now" to just after it
+const NOW = new Date(2025, 9, 22, 12, 0);
+
+// parsed once for every suite, so tests treat it as read-only
+const fixture = parseActivityRows(parseHTML(readFileSync(new URL('../file.html', import.meta.url), 'utf8')).document);
+
+// a receipt with only what a test needs; fields overrides user, concept and raw
+const at = (action, clout, date, fields = {}) => ({ user: 'fan', action, concept: null, clout, date, raw: '', ...fields });
+
+describe('parseReceiptDate', () => {
+  it('parses the multi-line dates the activity page renders', () => {
+    assert.deepEqual(analytics.parseReceiptDate('Oct 21\n\t\t\t01:15 PM', NOW), new Date(2025, 9, 21, 13, 15));
+  });
+
+  it('handles midnight and noon', () => {
+    assert.equal(analytics.parseReceiptDate('Oct 21 12:05 AM', NOW).getHours(), 0);
+    assert.equal(analytics.parseReceiptDate('Oct 21 12:05 PM', NOW).getHours(), 12);
+  });
+
+  it('puts dates that would be in the future into last year', () => {
+    assert.equal(analytics.parseReceiptDate('Dec 30 09:00 AM', NOW).getFullYear(), 2024);
+    assert.equal(analytics.parseReceiptDate('Dec 30 09:00 AM', new Date(2025, 11, 31)).getFullYear(), 2025);
+  });
+
+  it('returns null for anything else', () => {
+    assert.equal(analytics.parseReceiptDate('yesterday', NOW), null);
+    assert.equal(analytics.parseReceiptDate(undefined, NOW), null);
+  });
+});
+
+describe('receipt timestamps', () => {
+  const receipt = { user: 'alice', action: 'like', clout: 1, date: 'Dec 30 09:00 AM' };
+
+  it('resolves the year against when the receipt was captured', () => {
+    const stamped = analytics.stampReceipt(receipt, new Date(2025, 0, 2));
+    assert.equal(stamped.timestamp, new Date(2024, 11, 30, 9, 0).toISOString());
+    assert.equal(stamped.date, receipt.date);
+  });
+
+  it('keeps an existing timestamp and skips unreadable dates', () => {
+    const stamped = analytics.stampReceipt(receipt, new Date(2025, 0, 2));
+    assert.equal(analytics.stampReceipt(stamped, NOW), stamped);
+    assert.equal(analytics.stampReceipt({ ...receipt, date: 'soon' }, NOW).timestamp, undefined);
+  });
+
+  it('no longer moves stamped receipts when the year turns over', () => {
+    const stamped = analytics.stampReceipt(receipt, new Date(2025, 0, 2));
+    const nextYear = new Date(2026, 0, 5);
+    assert.deepEqual(analytics.receiptTime(stamped, nextYear), new Date(2024, 11, 30, 9, 0));
+    assert.deepEqual(analytics.receiptTime(receipt, nextYear), new Date(2025, 11, 30, 9, 0));
+  });
+
+  it('keeps receipts from more than a year back apart', () => {
+    const older = analytics.stampReceipt(receipt, new Date(2024, 0, 2));
+    const newer = analytics.stampReceipt(receipt, new Date(2025, 0, 2));
+    const range = analytics.getDateRange([older, newer], NOW);
+    assert.equal(range.newest - range.oldest, new Date(2024, 11, 30) - new Date(2023, 11, 30));
+  });
+});
+
+describe('analytics over file.html', () => {
+  const { receipts, bounties } = fixture;
+
+  it('spans the dates on the page', () => {
+    const { oldest, newest } = analytics.getDateRange(receipts, NOW);
+    assert.deepEqual(oldest, new Date(2025, 9, 12, 15, 28));
+    assert.deepEqual(newest, new Date(2025, 9, 21, 13, 15));
+  });
+
+  it('limits the 24h filter to the day before now', () => {
+    const filtered = analytics.filterReceipts(receipts, '24h', new Date(2025, 9, 21, 14, 0));
+    assert.equal(filtered.length, 245);
+    assert.equal(analytics.filterReceipts(receipts, 'all', NOW), receipts);
+  });
+
+  it('filters to the preset ranges', () => {
+    const count = (timeFilter, now = NOW) => analytics.filterReceipts(receipts, timeFilter, now).length;
+    const inWeek = receipts.filter(r => {
+      const time = analytics.receiptTime(r, NOW);
+      return time >= new Date(2025, 9, 12, 12, 0) && time <= new Date(2025, 9, 19, 12, 0);
+    });
+    assert.equal(count('7d', new Date(2025, 9, 19, 12, 0)), inWeek.length);
+    assert.ok(inWeek.length > 0 && inWeek.length < receipts.length);
+    assert.equal(count('30d'), receipts.length);
+    assert.equal(count('month', new Date(2025, 10, 2)), 0);
+    assert.equal(count('month'), receipts.length);
+  });
+
+  it('takes whole days for a custom range and leaves open ends open', () => {
+    const day = (start, end) => analytics.filterReceipts(receipts, 'custom', NOW, { start, end });
+    const oct20 = day('2025-10-20', '2025-10-20');
+    assert.ok(oct20.length > 0);
+    assert.ok(oct20.every(r => analytics.receiptTime(r, NOW).getDate() === 20));
+    assert.equal(day('2025-10-20', '').length + day('', '2025-10-19').length, receipts.length);
+    assert.equal(day('', ''), receipts);
+  });
+
+  it('totals clout across every receipt', () => {
+    assert.equal(analytics.totalClout(receipts), 6979);
+    assert.equal(analytics.avgClout(receipts), (6979 / 1973).toFixed(1));
+    assert.equal(analytics.avgClout([]), 0);
+  });
+
+  it('counts actions', () => {
+    const stats = analytics.actionStats(receipts);
+    assert.equal(stats.like, 1037);
+    assert.equal(stats.tip, 195);
+    assert.equal(stats.create, 309);
+    assert.equal(stats.generate, 261);
+    assert.equal(stats.self_create, 5);
+    assert.equal(stats.unknown, undefined);
+    assert.equal(Object.values(stats).reduce((a, b) => a + b, 0), receipts.length);
+  });
+
+  it('ranks users without counting yourself', () => {
+    const topUsers = analytics.topEntries(analytics.userStats(receipts), 'count', 3);
+    assert.deepEqual(topUsers[0], { name: 'The Timeline Tribune', count: 128 });
+    assert.ok(!('you' in analytics.userStats(receipts)));
+
+    const topValueUsers = analytics.topEntries(analytics.userValueStats(receipts), 'clout', 2);
+    assert.deepEqual(topValueUsers, [
+      { name: 'The Timeline Tribune', clout: 128 },
+      { name: 'Drey Hades', clout: 97 }
+    ]);
+  });
+
+  it('only buckets likes and tips by hour', () => {
+    const stats = analytics.timeOfDayStats(receipts);
+    const likeAndTipClout = analytics.totalClout(receipts.filter(r => ['like', 'tip'].includes(r.action)));
+    assert.equal(Object.values(stats).reduce((a, b) => a + b, 0), likeAndTipClout);
+    assert.ok(Object.keys(stats).every(hour => hour >= 0 && hour < 24));
+  });
+
+  it('runs the clout flow oldest first over real time', () => {
+    const flow = analytics.cloutFlow(receipts, 'day', NOW);
+    assert.equal(flow.at(-1).total, 6979);
+    assert.ok(flow.every((point, i) => i === 0 || point.time > flow[i - 1].time));
+    assert.equal(flow.reduce((sum, point) => sum + point.clout, 0), 6979);
+    assert.equal(new Date(flow[0].time).getHours(), 0);
+  });
+
+  it('buckets the clout flow by hour and week, quiet stretches included', () => {
+    const hourly = analytics.cloutFlow(receipts, 'hour', NOW);
+    const weekly = analytics.cloutFlow(receipts, 'week', NOW);
+    assert.equal(hourly.at(-1).total, 6979);
+    assert.equal(weekly.at(-1).total, 6979);
+    assert.ok(hourly.every((point, i) => i === 0 || point.time - hourly[i - 1].time === 60 * 60 * 1000));
+    assert.ok(weekly.every(point => new Date(point.time).getDay() === 0));
+    assert.ok(weekly.every((point, i) => i === weekly.length - 1 || point.end === weekly[i + 1].time));
+    assert.ok(hourly.some(point => point.clout === 0));
+  });
+
+  it('credits a bounty with its concept earnings in the next 24h', () => {
+    const data = analytics.conceptData({
+      receipts,
+      bounties: { 'gm simulants': [{ amount: 500, date: bounties[0].date }] }
+    }, NOW);
+    const concept = data.find(c => c.name === 'gm simulants');
+
+    assert.deepEqual(concept.bountyWindows, [{ amount: 500, date: bounties[0].date, earned: 352, windowEarnings: 352, baseline: 135, roi: -30 }]);
+    assert.equal(concept.bountyCost, 500);
+    assert.equal(concept.netIncome, concept.clout - 500);
+    assert.equal(concept.avgRoi, -30);
+    assert.equal(concept.uses, concept.paidUses + concept.freeUses);
+  });
+
+  it('keeps the bounty date when it cannot be parsed', () => {
+    const [window] = analytics.bountyWindows('gm simulants', [{ amount: 10, date: 'soon' }], receipts, NOW);
+    assert.deepEqual(window, { amount: 10, date: 'soon', earned: 0, windowEarnings: 0, baseline: 0, roi: -100 });
+  });
+
+  it('takes the baseline off in incremental mode', () => {
+    const data = analytics.conceptData({
+      receipts,
+      bounties: { 'gm simulants': [{ amount: 500, date: bounties[0].date }] }
+    }, NOW, { windowHours: 24, mode: 'incremental' });
+    const concept = data.find(c => c.name === 'gm simulants');
+
+    assert.equal(concept.bountyWindows[0].earned, 352 - 135);
+    assert.equal(concept.avgRoi, Math.round(((217 - 500) / 500) * 100));
+    assert.equal(concept.bountyEarnings, 217);
+  });
+
+  it('suggests the concept whose uses surged after a bounty', () => {
+    const [top] = analytics.suggestBountyConcepts(bounties[0], receipts, NOW);
+    assert.equal(top.name, 'gm simulants');
+    assert.equal(top.surge, top.after - top.before);
+  });
+
+  it('sorts concepts by net income', () => {
+    const data = analytics.conceptData({ receipts, bounties: {} }, NOW);
+    assert.deepEqual(data.map(c => c.netIncome), data.map(c => c.netIncome).sort((a, b) => b - a));
+    const useClout = analytics.totalClout(receipts.filter(r => analytics.CONCEPT_USE_ACTIONS.includes(r.action)));
+    assert.equal(data.reduce((sum, c) => sum + c.clout, 0), useClout);
+  });
+
+  it('takes publishing costs off the concept they were spent on', () => {
+    const death = analytics.conceptData({ receipts, bounties: {} }, NOW).find(c => c.name === 'Death');
+    assert.equal(death.publishCost, 1710);
+    assert.equal(death.netIncome, death.clout - 1710);
+    assert.equal(death.uses, receipts.filter(r => r.concept === 'Death').length - 2);
+  });
+});
+
+describe('period comparison', () => {
+  const use = (concept, clout, date) => at('create', clout, date, { user: 'alice', concept });
+
+  it('measures the previous period as the same length right before', () => {
+    const { start, end } = analytics.previousRangeBounds('7d', NOW);
+    assert.deepEqual(end, new Date(NOW - 7 * 24 * 60 * 60 * 1000 - 1));
+    assert.equal(end - start, 7 * 24 * 60 * 60 * 1000);
+
+    const custom = analytics.previousRangeBounds('custom', NOW, { start: '2025-10-20', end: '2025-10-21' });
+    assert.deepEqual(custom.start, new Date(2025, 9, 18));
+    assert.deepEqual(custom.end, new Date(new Date(2025, 9, 20) - 1));
+  });
+
+  it('has nothing to compare for all time or an open start', () => {
+    assert.equal(analytics.previousRangeBounds('all', NOW), null);
+    assert.equal(analytics.previousRangeBounds('custom', NOW, { start: '', end: '2025-10-21' }), null);
+  });
+
+  it('gives deltas and percent change', () => {
+    assert.deepEqual(analytics.compareValues(150, 100), { current: 150, previous: 100, delta: 50, percent: 50 });
+    assert.equal(analytics.compareValues(-50, -100).percent, 50);
+    assert.equal(analytics.compareValues(10, 0).percent, null);
+  });
+
+  it('flags concepts whose earnings moved sharply', () => {
+    const current = analytics.conceptData({ receipts: [use('rising', 40), use('steady', 100), use('small', 4), use('new', 20)] });
+    const previous = analytics.conceptData({ receipts: [use('rising', 10), use('steady', 90), use('small', 1), use('gone', 30)] });
+    const trends = analytics.conceptTrends(current, previous);
+
+    assert.equal(trends.rising.trend, 'up');
+    assert.equal(trends.rising.clout.percent, 300);
+    assert.equal(trends.steady.trend, null);
+    assert.equal(trends.small.trend, null);
+    assert.equal(trends.new.trend, 'up');
+    assert.equal(trends.gone.trend, 'down');
+    assert.equal(trends.gone.clout.current, 0);
+  });
+});
+
+describe('bounty attribution', () => {
+  const use = (hour, clout) => at('create', clout, `Oct 20 ${String(hour).padStart(2, '0')}:00 AM`, { user: 'alice', concept: 'waves' });
+  const receipts = [use(1, 10), use(3, 20), use(5, 40), use(7, 80), use(9, 160)];
+  const bounty = (hour) => ({ amount: 100, date: `Oct 20 ${String(hour).padStart(2, '0')}:00 AM` });
+  const windows = (bounties, attribution) => analytics.bountyWindows('waves', bounties, receipts, NOW, attribution);
+
+  it('sizes the window', () => {
+    assert.equal(windows([bounty(4)], { windowHours: 2, mode: 'raw' })[0].earned, 40);
+    assert.equal(windows([bounty(4)], { windowHours: 4, mode: 'raw' })[0].earned, 120);
+  });
+
+  it('measures the baseline over the same length just before', () => {
+    const [window] = windows([bounty(4)], { windowHours: 2, mode: 'incremental' });
+    assert.deepEqual(window, { amount: 100, date: bounty(4).date, earned: 20, windowEarnings: 40, baseline: 20, roi: -80 });
+  });
+
+  it('counts overlapping earnings twice in raw mode and once when split', () => {
+    const overlapping = [bounty(4), bounty(6)];
+    const raw = windows(overlapping, { windowHours: 4, mode: 'raw' });
+    assert.deepEqual(raw.map(w => w.earned), [120, 240]);
+
+    // the 80 at 7am sits in both windows, so each gets 40 of it
+    const split = windows(overlapping, { windowHours: 4, mode: 'split' });
+    assert.deepEqual(split.map(w => w.earned), [80, 200]);
+    assert.equal(split[0].earned + split[1].earned, 40 + 80 + 160);
+  });
+});
+
+describe('bounty suggestions', () => {
+  const use = (concept, day, hour) => at('generate', 1, `Oct ${day} ${String(hour).padStart(2, '0')}:00 PM`, { user: 'alice', concept });
+  const bounty = { clout: 100, date: 'Oct 20 06:00 PM' };
+
+  it('ranks by the jump in uses, ignoring steady and fading concepts', () => {
+    const receipts = [
+      use('surging', 20, 7), use('surging', 20, 8), use('surging', 20, 9),
+      use('steady', 20, 5), use('steady', 20, 7),
+      use('fading', 20, 3), use('fading', 20, 4), use('fading', 20, 7),
+      use('little', 20, 10),
+      use('old news', 18, 7), use('old news', 18, 8)
+    ];
+    const suggestions = analytics.suggestBountyConcepts(bounty, receipts, NOW);
+    assert.deepEqual(suggestions, [
+      { name: 'surging', after: 3, before: 0, surge: 3 },
+      { name: 'little', after: 1, before: 0, surge: 1 }
+    ]);
+  });
+
+  it('has nothing to suggest for a bounty without a readable date', () => {
+    assert.deepEqual(analytics.suggestBountyConcepts({ clout: 100, date: 'soon' }, [use('a', 20, 7)], NOW), []);
+  });
+});
+
+describe('bounty planner', () => {
+  const { receipts } = fixture;
+  let history;
+
+  before(() => {
+    const tagged = fixture.bounties.map(b => ({ amount: b.clout, date: b.date }));
+    history = analytics.conceptData({ receipts, bounties: { 'gm simulants': tagged } }, NOW);
+  });
+
+  const plan = (options) => analytics.planBounty({
+    concepts: history,
+    hourlyEarnings: analytics.timeOfDayStats(receipts),
+    concept: 'gm simulants',
+    amount: 300,
+    hour: 15,
+    ...options
+  });
+
+  it('averages start hours out to 1', () => {
+    const hourly = analytics.timeOfDayStats(receipts);
+    const factors = Array.from({ length: 24 }, (_, h) => analytics.bountyHourFactor(hourly, h));
+    assert.ok(Math.abs(factors.reduce((a, b) => a + b, 0) / 24 - 1) < 1e-9);
+    assert.equal(analytics.bountyHourFactor({}, 3), 1);
+  });
+
+  it('estimates from the concept\'s own bounties with a range around it', () => {
+    const result = plan();
+    const windows = history.find(c => c.name === 'gm simulants').bountyWindows;
+    const perClout = windows.reduce((sum, w) => sum + w.earned / w.amount, 0) / windows.length;
+
+    assert.equal(result.fallback, false);
+    assert.equal(result.samples, 3);
+    assert.equal(result.expected, Math.round(300 * perClout * result.hourFactor));
+    assert.ok(result.low <= result.expected && result.expected <= result.high);
+    assert.equal(result.roi, Math.round(((result.expected - 300) / 300) * 100));
+  });
+
+  it('recommends the size bracket and hour that did best', () => {
+    const result = plan();
+    const windows = history.find(c => c.name === 'gm simulants').bountyWindows;
+    const best = windows.reduce((a, b) => b.roi > a.roi ? b : a);
+    assert.ok(best.amount >= result.bestBracket.min && best.amount <= result.bestBracket.max);
+    assert.ok(plan({ hour: result.bestHour }).expected >= plan({ hour: (result.bestHour + 12) % 24 }).expected);
+  });
+
+  it('falls back to every concept\'s bounties for one without any', () => {
+    const result = plan({ concept: 'Death' });
+    assert.equal(result.fallback, true);
+    assert.equal(result.samples, 3);
+  });
+
+  it('never expects a bounty to earn less than nothing', () => {
+    const window = (earned) => ({ amount: 100, earned, roi: earned - 100 });
+    const concepts = [{ name: 'Death', bountyWindows: [window(0), window(0), window(1000)] }];
+    const result = analytics.planBounty({ concepts, concept: 'Death', amount: 100, hour: 12 });
+    assert.equal(result.low, 0);
+    assert.equal(result.roiLow, -100);
+    assert.ok(result.high > result.expected);
+  });
+
+  it('has nothing to go on before any bounty is tagged', () => {
+    const untagged = analytics.conceptData({ receipts, bounties: {} }, NOW);
+    assert.equal(analytics.planBounty({ concepts: untagged, concept: 'Death', amount: 100, hour: 12 }), null);
+  });
+});
+
+describe('concept drilldown', () => {
+  let receipts;
+  let bounties;
+  let summary;
+  let detail;
+
+  before(() => {
+    receipts = fixture.receipts;
+    bounties = { Death: [{ amount: 100, date: 'Oct 18 10:00 AM' }] };
+    summary = analytics.conceptData({ receipts, bounties }, NOW).find(c => c.name === 'Death');
+    detail = analytics.conceptDetail({ receipts, bounties }, 'Death', NOW);
+  });
+
+  it('adds up to the concept card', () => {
+    assert.equal(detail.timeline.reduce((sum, b) => sum + b.clout, 0), summary.clout);
+    assert.equal(detail.timeline.reduce((sum, b) => sum + b.paid, 0), summary.paidUses);
+    assert.equal(detail.timeline.reduce((sum, b) => sum + b.free, 0), summary.freeUses);
+    assert.equal(detail.hourly.reduce((sum, h) => sum + h.clout, 0), summary.clout);
+    assert.equal(detail.actionSplit.reduce((sum, a) => sum + a.count, 0), summary.uses);
+    assert.equal(detail.receipts.length, receipts.filter(r => r.concept === 'Death').length);
+  });
+
+  it('fills every day between the first and last use', () => {
+    const long = analytics.conceptDetail({ receipts }, 'gm simulants', NOW);
+    assert.equal(long.bucket, 'day');
+    const days = long.timeline.map(b => new Date(b.time));
+    assert.equal(days.length, 10);
+    days.slice(1).forEach((day, i) => assert.equal(Math.round((day - days[i]) / (24 * 60 * 60 * 1000)), 1));
+  });
+
+  it('goes by the hour over short spans', () => {
+    const lastDay = analytics.filterReceipts(receipts, '24h', new Date(2025, 9, 21, 14, 0));
+    const short = analytics.conceptDetail({ receipts: lastDay }, 'gm simulants', NOW);
+    assert.equal(short.bucket, 'hour');
+    assert.ok(short.timeline.every((b, i) => i === 0 || b.time - short.timeline[i - 1].time === 60 * 60 * 1000));
+  });
+
+  it('places bounty windows on the timeline', () => {
+    assert.deepEqual(detail.bountyWindows.map(w => [new Date(w.start), w.end - w.start, w.amount]), [
+      [new Date(2025, 9, 18, 10, 0), 24 * 60 * 60 * 1000, 100]
+    ]);
+  });
+
+  it('ranks the concept\'s users by what they brought in', () => {
+    assert.ok(detail.topUsers.length <= 10);
+    assert.ok(detail.topUsers.every((u, i) => i === 0 || u.clout <= detail.topUsers[i - 1].clout));
+  });
+});
+
+describe('fan profiles', () => {
+  const { receipts } = fixture;
+
+  it('adds up what a user gave', () => {
+    const profile = analytics.userProfile(receipts, 'Drey Hades', NOW);
+    assert.equal(profile.clout, analytics.userValueStats(receipts)['Drey Hades']);
+    assert.equal(profile.byAction.reduce((sum, a) => sum + a.clout, 0), profile.clout);
+    assert.equal(profile.timeline.reduce((sum, b) => sum + b.count, 0), profile.actions);
+    assert.ok(profile.firstSeen <= profile.lastSeen);
+  });
+
+  it('lists the concepts they used', () => {
+    const profile = analytics.userProfile(receipts, 'reyman', NOW);
+    const uses = receipts.filter(r => r.user === 'reyman' && analytics.CONCEPT_USE_ACTIONS.includes(r.action));
+    assert.equal(profile.concepts.reduce((sum, c) => sum + c.count, 0), uses.length);
+    assert.ok(profile.concepts.some(c => c.name === 'Crabbing'));
+  });
+
+  it('keeps tips you sent them apart from what they gave', () => {
+    const receipts = [
+      at('tip', 10, 'Oct 20 01:00 PM', { user: 'alice' }),
+      at('like', 1, 'Oct 21 01:00 PM', { user: 'alice' }),
+      at('tip_sent', -5, 'Oct 21 02:00 PM', { user: 'alice' })
+    ];
+    const profile = analytics.userProfile(receipts, 'alice', NOW);
+    assert.equal(profile.clout, 11);
+    assert.deepEqual(profile.tipsSent, { count: 1, clout: 5 });
+    assert.deepEqual(profile.lastSeen, new Date(2025, 9, 21, 13, 0));
+    assert.equal(profile.receipts.length, 3);
+  });
+
+  it('is empty for someone with no receipts', () => {
+    const profile = analytics.userProfile(receipts, 'nobody', NOW);
+    assert.equal(profile.actions, 0);
+    assert.equal(profile.firstSeen, null);
+    assert.deepEqual(profile.timeline, []);
+  });
+});
+
+describe('tipRelationships', () => {
+  const tip = (user, action, clout, date) => at(action, clout, date, { user });
+
+  it('pairs tips received and sent per user', () => {
+    const people = analytics.tipRelationships([
+      tip('alice', 'tip', 2, 'Oct 20 01:00 PM'),
+      tip('alice', 'tip', 3, 'Oct 21 01:00 PM'),
+      tip('alice', 'tip_sent', -4, 'Oct 19 09:00 AM'),
+      tip('alice', 'like', 1, 'Oct 21 02:00 PM')
+    ], NOW);
+    assert.equal(people.length, 1);
+    assert.deepEqual(people[0], {
+      name: 'alice',
+      received: 5,
+      receivedCount: 2,
+      sent: 4,
+      sentCount: 1,
+      lastReceived: new Date(2025, 9, 21, 13, 0),
+      lastSent: new Date(2025, 9, 19, 9, 0),
+      net: 1,
+      unreturned: false,
+      unreciprocated: false
+    });
+  });
+
+  it('flags regular supporters never tipped back and tips never returned', () => {
+    const people = analytics.tipRelationships(fixture.receipts, NOW);
+    const byName = Object.fromEntries(people.map(p => [p.name, p]));
+
+    assert.equal(people[0].name, 'bogpills');
+    assert.equal(byName.bogpills.unreturned, true);
+    assert.equal(byName.Songbird.unreturned, true);
+    assert.equal(byName['Noisy Giraffe'].unreturned, false);
+    assert.equal(byName['~jason~ 🏆'].unreturned, false);
+    assert.equal(byName.zero.unreciprocated, true);
+    assert.equal(byName['Jhang Es'].unreciprocated, false);
+    assert.equal(byName.zero.lastReceived, null);
+  });
+});
+
+describe('posting heatmap', () => {
+  it('averages like and tip clout per event and per active day in each slot', () => {
+    const heatmap = analytics.postingHeatmap([
+      at('like', 1, 'Oct 20 09:05 AM'),
+      at('tip', 5, 'Oct 20 09:40 AM'),
+      at('like', 1, 'Oct 13 09:10 AM'),
+      at('create', 10, 'Oct 20 09:20 AM'),
+      at('self_create', 0, 'Oct 20 09:00 AM')
+    ], NOW);
+    assert.equal(heatmap.length, 7);
+    assert.equal(heatmap[1].length, 24);
+
+    const slot = heatmap[1][9];
+    assert.equal(slot.events, 3);
+    assert.equal(slot.clout, 7);
+    assert.equal(slot.activeDays, 2);
+    assert.equal(slot.perEvent.mean, 7 / 3);
+    assert.equal(slot.perDay.mean, 3.5);
+    assert.ok(slot.perDay.low <= 3.5 && slot.perDay.high >= 3.5);
+    assert.equal(slot.posts, 1);
+    assert.equal(slot.reliable, false);
+    assert.equal(heatmap[2][9].perEvent, null);
+  });
+
+  it('ranks hours by clout per post, not by how much happens in them', () => {
+    const receipts = [
+      // posting at 9 a lot gets 10 likes a time
+      ...Array.from({ length: 4 }, (_, i) => at('self_create', 0, `Oct ${13 + i} 09:00 AM`)),
+      ...Array.from({ length: 40 }, (_, i) => at('like', 1, `Oct ${13 + (i % 4)} 10:${String(i).padStart(2, '0')} AM`)),
+      // posting at 6 PM twice gets 30 each
+      at('self_create', 0, 'Oct 13 06:00 PM'),
+      at('self_create', 0, 'Oct 14 06:00 PM'),
+      ...Array.from({ length: 12 }, (_, i) => at('tip', 5, `Oct ${13 + (i % 2)} 07:${String(i).padStart(2, '0')} PM`))
+    ];
+    const best = analytics.bestPostingHours(analytics.postingHeatmap(receipts, NOW));
+    assert.deepEqual(best.map(h => [h.hour, h.score]), [[18, 30], [9, 10]]);
+    assert.equal(best[0].basis, 'post');
+  });
+
+  it('falls back to clout per active day without enough posts', () => {
+    const receipts = Array.from({ length: 6 }, (_, i) => at('like', 1, `Oct ${14 + i} 08:15 PM`));
+    const best = analytics.bestPostingHours(analytics.postingHeatmap(receipts, NOW));
+    assert.deepEqual(best, [{ hour: 20, basis: 'day', score: 1, samples: 6 }]);
+  });
+});
+
+describe('ledger', () => {
+  const receipts = [
+    at('like', 1, 'Oct 20 09:00 AM'),
+    at('tip', 5, 'Oct 20 10:00 AM'),
+    at('create', 4, 'Oct 20 11:00 AM'),
+    at('draft_cost', -3, 'Oct 20 12:00 PM'),
+    at('bounty', -50, 'Oct 22 09:00 AM'),
+    at('challenge', 20, 'Oct 22 10:00 AM')
+  ];
+
+  it('books receipts to income and spending categories', () => {
+    assert.deepEqual(analytics.ledgerEntry(at('tip_sent', -2, '')), { side: 'spending', category: 'tips sent', amount: 2 });
+    assert.deepEqual(analytics.ledgerEntry(at('generate', 3, '')), { side: 'income', category: 'concepts', amount: 3 });
+    assert.deepEqual(analytics.ledgerEntry(at('challenge', 20, '')), { side: 'income', category: 'other', amount: 20 });
+  });
+
+  it('runs a daily balance from the opening one, quiet days included', () => {
+    const rows = analytics.ledger(receipts, 'day', NOW, 100);
+    assert.equal(rows.length, 3);
+    assert.deepEqual(rows[0].income, { likes: 1, tips: 5, concepts: 4 });
+    assert.deepEqual(rows[0].spending, { drafts: 3 });
+    assert.equal(rows[0].net, 7);
+    assert.equal(rows[0].balance, 107);
+    assert.equal(rows[1].net, 0);
+    assert.equal(rows[2].balance, 77);
+    assert.equal(rows[0].end, rows[1].time);
+  });
+
+  it('adds the rows up by category', () => {
+    const totals = analytics.ledgerTotals(analytics.ledger(receipts, 'week', NOW));
+    assert.equal(totals.incomeTotal, 30);
+    assert.equal(totals.spendingTotal, 53);
+    assert.equal(totals.net, -23);
+    assert.equal(totals.spending.bounties, 50);
+    assert.equal(totals.income.other, 20);
+  });
+
+  it('finds stretches with no receipts', () => {
+    const gaps = analytics.receiptGaps(receipts, NOW);
+    assert.equal(gaps.length, 1);
+    assert.deepEqual(gaps[0].start, new Date(2025, 9, 20, 12, 0));
+    assert.equal(gaps[0].hours, 45);
+  });
+
+  it('reconciles known balances against the receipts', () => {
+    const { opening, checkpoints } = analytics.reconcileBalance(receipts, [
+      { time: new Date(2025, 9, 22, 12, 0).toISOString(), balance: 60 },
+      { time: new Date(2025, 9, 20, 10, 30).toISOString(), balance: 106 }
+    ], NOW);
+    assert.equal(opening, 100);
+    assert.equal(checkpoints[0].expected, null);
+    assert.equal(checkpoints[1].expected, 77);
+    assert.equal(checkpoints[1].difference, -17);
+    assert.deepEqual(analytics.reconcileBalance(receipts, [], NOW), { opening: null, checkpoints: [] });
+  });
+});
+
+describe('draftEfficiency', () => {
+  it('sets each period of drafting against the next period of post earnings', () => {
+    const report = analytics.draftEfficiency([
+      at('draft_cost', -5, 'Oct 18 09:00 AM'),
+      at('draft_cost', -5, 'Oct 18 10:00 AM'),
+      at('like', 1, 'Oct 18 11:00 AM'),
+      at('tip', 4, 'Oct 19 09:00 AM'),
+      at('create', 50, 'Oct 19 10:00 AM'),
+      at('draft_cost', -5, 'Oct 19 11:00 AM'),
+      at('like', 20, 'Oct 20 09:00 AM'),
+      at('draft_cost', -5, 'Oct 21 09:00 AM')
+    ], 'day', NOW);
+
+    assert.deepEqual(report.rows.map(row => [row.drafts, row.spent, row.earned, row.paidBack]), [
+      [2, 10, 4, false],
+      [1, 5, 20, true],
+      [1, 5, 0, null]
+    ]);
+    assert.equal(report.rows[0].costPerClout, 2.5);
+    assert.equal(report.rows[2].costPerClout, null);
+    assert.equal(report.rows[2].complete, false);
+    assert.equal(report.spent, 20);
+    assert.equal(report.earned, 24);
+  });
+
+  it('reports the fixture drafts week by week', () => {
+    const { receipts } = fixture;
+    const report = analytics.draftEfficiency(receipts, 'week', NOW);
+    assert.equal(report.rows.reduce((sum, row) => sum + row.drafts, 0), receipts.filter(r => r.action === 'draft_cost').length);
+    assert.equal(report.spent, -analytics.totalClout(receipts.filter(r => r.action === 'draft_cost')));
+  });
+});
+
+describe('dailyStreaks', () => {
+  let streaks;
+
+  before(() => {
+    streaks = analytics.dailyStreaks(fixture.receipts, NOW);
+  });
+
+  it('finds the current and longest streak around a missed day', () => {
+    // claimed oct 12-16 and 18-21, oct 17 missed
+    const signin = streaks.daily_signin;
+    assert.equal(signin.days.length, 10);
+    assert.equal(signin.current, 4);
+    assert.equal(signin.longest, 5);
+    assert.equal(signin.claimed, 9);
+    assert.equal(signin.missed, 1);
+    assert.equal(signin.days[5].claimed, false);
+    assert.deepEqual(new Date(signin.days[5].day), new Date(2025, 9, 17));
+  });
+
+  it('totals what was collected and costs the missed days at the average claim', () => {
+    const bounty = streaks.daily_bounty;
+    assert.equal(bounty.total, 2600);
+    assert.equal(bounty.average, 2600 / 9);
+    assert.equal(bounty.missedCost, 289);
+  });
+
+  it("doesn't count today as missed before it's claimed", () => {
+    const claim = (action, date) => at(action, 100, date, { user: 'you' });
+    const today = new Date(2025, 9, 22, 18, 0);
+    const { daily_signin: signin } = analytics.dailyStreaks([
+      claim('daily_signin', 'Oct 20 09:00 AM'),
+      claim('daily_signin', 'Oct 21 09:00 AM'),
+      claim('like', 'Oct 22 08:00 AM')
+    ], today);
+    assert.equal(signin.current, 2);
+    assert.equal(signin.missed, 0);
+
+    const { daily_signin: lapsed } = analytics.dailyStreaks([
+      claim('daily_signin', 'Oct 20 09:00 AM'),
+      claim('like', 'Oct 22 08:00 AM')
+    ], today);
+    assert.equal(lapsed.current, 0);
+    assert.equal(lapsed.missed, 1);
+    assert.equal(lapsed.missedCost, 100);
+  });
+});
+
+describe('forecast', () => {
+  it('extends the recent income trend, leaving out today', () => {
+    const result = analytics.forecast([
+      at('like', 10, 'Oct 19 09:00 AM'),
+      at('like', 20, 'Oct 20 09:00 AM'),
+      at('like', 30, 'Oct 21 09:00 AM'),
+      at('tip', 500, 'Oct 22 09:00 AM')
+    ], NOW);
+    assert.equal(result.history.length, 3);
+    assert.equal(result.dailyTrend, 10);
+    // 40 + 50 + ... + 100
+    assert.deepEqual(result.income[7], { expected: 490, low: 490, high: 490 });
+    assert.equal(result.net[30].expected, result.income[30].expected);
+  });
+
+  it('gives a fading concept a half-life and projects a steady one flat', () => {
+    const days = [15, 16, 17, 18, 19, 20, 21];
+    const result = analytics.forecast([
+      ...days.map((day, i) => at('create', 2 ** (7 - i), `Oct ${day} 09:00 AM`, { concept: 'Fading' })),
+      ...days.map(day => at('create', 10, `Oct ${day} 10:00 AM`, { concept: 'Steady' }))
+    ], NOW);
+    const byName = Object.fromEntries(result.concepts.map(c => [c.name, c]));
+
+    assert.ok(byName.Fading.halfLife > 0.9 && byName.Fading.halfLife < 1.3);
+    assert.equal(byName.Fading.fading, true);
+    assert.ok(byName.Fading.projections[30].expected < 5);
+    assert.equal(byName.Steady.halfLife, null);
+    assert.equal(byName.Steady.fading, false);
+    assert.deepEqual(byName.Steady.projections[7], { expected: 70, low: 70, high: 70 });
+    assert.equal(result.concepts[0].name, 'Steady');
+  });
+
+  it('holds off on concepts too new to judge', () => {
+    const result = analytics.forecast([
+      at('like', 1, 'Oct 15 09:00 AM'),
+      at('create', 5, 'Oct 21 09:00 AM', { concept: 'New' })
+    ], NOW);
+    assert.deepEqual(result.concepts[0], {
+      name: 'New',
+      firstUse: new Date(2025, 9, 21),
+      days: 1,
+      halfLife: null,
+      dailyChange: null,
+      fading: false,
+      projections: null
+    });
+  });
+
+  it('is null without a complete day of receipts', () => {
+    assert.equal(analytics.forecast([at('like', 1, 'Oct 22 09:00 AM')], NOW), null);
+  });
+});
+
+describe('detectAnomalies', () => {
+  const hourOf = (hour, minute = 0) => `Oct 20 ${String(hour % 12 || 12).padStart(2, '0')}:${String(minute).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`;
+  const use = (hour, minute) => at('create', 1, hourOf(hour, minute), { user: `fan${minute}`, concept: 'Crabbing' });
+  // one use an hour through the day
+  const steady = Array.from({ length: 24 }, (_, hour) => use(hour, 0));
+
+  it('flags a concept used many times its normal rate', () => {
+    const surge = Array.from({ length: 9 }, (_, i) => use(14, i + 1));
+    const findings = analytics.detectAnomalies([...steady, ...surge], NOW);
+    assert.equal(findings.length, 1);
+    assert.equal(findings[0].kind, 'concept_surge');
+    assert.equal(findings[0].subject, 'Crabbing');
+    assert.equal(findings[0].count, 10);
+    assert.equal(findings[0].baseline, 1);
+    assert.equal(findings[0].factor, 10);
+    assert.deepEqual(findings[0].time, new Date(2025, 9, 20, 14));
+    assert.equal(findings[0].receipts.length, 10);
+    assert.equal(findings[0].id, `concept_surge:Crabbing:${new Date(2025, 9, 20, 14).getTime()}`);
+  });
+
+  it('folds back-to-back unusual hours into one finding', () => {
+    const surge = [14, 15].flatMap(hour => Array.from({ length: 9 }, (_, i) => use(hour, i + 1)));
+    const findings = analytics.detectAnomalies([...steady, ...surge], NOW);
+    assert.equal(findings.length, 1);
+    assert.equal(findings[0].hours, 2);
+    assert.equal(findings[0].count, 20);
+  });
+
+  it('ignores busy hours that are still small', () => {
+    const quiet = [use(3, 0), use(9, 0), use(9, 1), use(9, 2)];
+    assert.deepEqual(analytics.detectAnomalies(quiet, NOW), []);
+  });
+
+  it('flags a burst of tips from one user', () => {
+    const tips = Array.from({ length: 6 }, (_, i) => at('tip', 1, hourOf(20, i), { user: 'whale' }));
+    const findings = analytics.detectAnomalies([...steady, ...tips], NOW);
+    assert.deepEqual(findings.map(f => [f.kind, f.subject, f.count, f.factor]), [['tip_burst', 'whale', 6, null]]);
+  });
+
+  it('finds the big like hours in the fixture', () => {
+    const findings = analytics.detectAnomalies(fixture.receipts, NOW);
+    const likes = findings.filter(f => f.kind === 'like_spike');
+    assert.ok(likes.length > 0);
+    assert.ok(likes.every(f => f.count >= analytics.ANOMALY_FACTOR * f.baseline && f.receipts.every(r => r.action === 'like')));
+    assert.equal(new Set(findings.map(f => f.id)).size, findings.length);
+  });
+});
+
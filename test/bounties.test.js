@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { withoutBounty, withBountiesTagged, withBountyMoved, withBountyUntagged } from '../src/bounties.js';
+
+const bounty = (amount, date, timestamp) => ({ amount, date, ...(timestamp ? { timestamp } : {}) });
+
+describe('bounty lists', () => {
+  const tagged = {
+    Death: [bounty(100, 'Oct 18 10:00 AM'), bounty(200, 'Oct 19 10:00 AM', '2025-10-19T10:00:00.000Z'), bounty(300, 'Oct 20 10:00 AM')],
+    Love: [bounty(50, 'Oct 17 09:00 AM')]
+  };
+
+  it('moves later bounties up when an earlier one is taken out', () => {
+    const rest = withoutBounty(tagged, 'Death', 0);
+    assert.deepEqual(rest.Death, [tagged.Death[1], tagged.Death[2]]);
+    assert.deepEqual(withoutBounty(rest, 'Death', 1).Death, [tagged.Death[1]]);
+    assert.equal(tagged.Death.length, 3);
+  });
+
+  it('drops a concept whose last bounty was taken out', () => {
+    assert.deepEqual(Object.keys(withoutBounty(tagged, 'Love', 0)), ['Death']);
+  });
+
+  it('reassigns a bounty to the end of another concept', () => {
+    const moved = withBountyMoved(tagged, 'Death', 1, 'Love');
+    assert.deepEqual(moved.Love, [tagged.Love[0], tagged.Death[1]]);
+    assert.deepEqual(moved.Death, [tagged.Death[0], tagged.Death[2]]);
+    assert.deepEqual(withBountyMoved(tagged, 'Love', 0, 'Crabbing'), { Death: tagged.Death, Crabbing: tagged.Love });
+    assert.equal(withBountyMoved(tagged, 'Death', 1, 'Death'), tagged);
+  });
+
+  it('untags a bounty back into the untagged list with its timestamp', () => {
+    const untagged = [{ clout: 10, date: 'Oct 21 08:00 AM' }];
+    const result = withBountyUntagged(tagged, untagged, 'Death', 1);
+    assert.deepEqual(result.bounties.Death, [tagged.Death[0], tagged.Death[2]]);
+    assert.deepEqual(result.untagged, [untagged[0], { clout: 200, date: 'Oct 19 10:00 AM', timestamp: '2025-10-19T10:00:00.000Z' }]);
+
+    // the bounty that was at index 2 is now at 1, so untagging 1 again takes it
+    const again = withBountyUntagged(result.bounties, result.untagged, 'Death', 1);
+    assert.deepEqual(again.untagged.at(-1), { clout: 300, date: 'Oct 20 10:00 AM' });
+    assert.deepEqual(again.bounties.Death, [tagged.Death[0]]);
+  });
+
+  it('tags untagged bounties and takes them off the untagged list', () => {
+    const untagged = [{ clout: 10, date: 'Oct 21 08:00 AM' }, { clout: 20, date: 'Oct 21 09:00 AM', timestamp: '2025-10-21T09:00:00.000Z' }];
+    const result = withBountiesTagged(tagged, untagged, [{ index: 1, concept: 'Love' }]);
+    assert.deepEqual(result.bounties.Love, [tagged.Love[0], bounty(20, 'Oct 21 09:00 AM', '2025-10-21T09:00:00.000Z')]);
+    assert.deepEqual(result.untagged, [untagged[0]]);
+    assert.deepEqual(withBountyUntagged(result.bounties, result.untagged, 'Love', 1).untagged, untagged.slice(0, 1).concat(untagged[1]));
+  });
+});
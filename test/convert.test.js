@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { readFile, writeFile, mkdtemp, rm, stat } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { parseHTML } from 'linkedom';
+import { parseActivityRows } from '../src/activity.js';
+import { stampReceipts } from '../src/analytics.js';
+import { assignReceiptIds } from '../src/receipts.js';
+
+const run = promisify(execFile);
+const script = fileURLToPath(new URL('../scripts/activity-to-json.js', import.meta.url));
+const fixture = fileURLToPath(new URL('../file.html', import.meta.url));
+
+describe('activity-to-json', () => {
+  it('prints what the page parser reads, dated from the file, once across overlapping pages', async () => {
+    const { document } = parseHTML(await readFile(fixture, 'utf8'));
+    const { mtime } = await stat(fixture);
+    const page = parseActivityRows(document);
+
+    const { stdout } = await run(process.execPath, [script, fixture, fixture], { maxBuffer: 16 * 1024 * 1024 });
+    const data = JSON.parse(stdout);
+
+    assert.equal(data.receipts.length, 1973);
+    assert.deepEqual(data, { receipts: assignReceiptIds(stampReceipts(page.receipts, mtime)) });
+  });
+
+  it('writes to --output', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'activity-to-json-'));
+    try {
+      const output = join(dir, 'receipts.json');
+      const { stderr } = await run(process.execPath, [script, fixture, '-o', output]);
+
+      assert.match(stderr, /wrote 1973 receipts to /);
+      assert.equal(JSON.parse(await readFile(output, 'utf8')).receipts.length, 1973);
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+
+  it('fails without any pages', async () => {
+    await assert.rejects(run(process.execPath, [script]), { code: 1 });
+  });
+
+  it('names the input it could not read', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'activity-to-json-'));
+    try {
+      const missing = join(dir, 'missing.html');
+      await assert.rejects(run(process.execPath, [script, missing]), (e) => {
+        assert.equal(e.code, 1);
+        assert.match(e.stderr, new RegExp(`^${missing}: ENOENT`));
+        assert.doesNotMatch(e.stderr, /\n\s+at /);
+        return true;
+      });
+
+      const rules = join(dir, 'rules.json');
+      await writeFile(rules, '{ not json');
+      await assert.rejects(run(process.execPath, [script, fixture, '--rules', rules]), (e) => {
+        assert.equal(e.code, 1);
+        assert.match(e.stderr, new RegExp(`^${rules}: `));
+        return true;
+      });
+
+      await assert.rejects(run(process.execPath, [script, fixture, '--nope']), (e) => {
+        assert.equal(e.code, 1);
+        assert.match(e.stderr, /--nope[\s\S]*usage: activity-to-json/);
+        return true;
+      });
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseHTML } from 'linkedom';
+import { parseActivityRows } from '../src/activity.js';
+import { parseOcrLines, mergeScreenshotRows, ocrRowsToData, OCR_CONFIDENCE_THRESHOLD } from '../src/ocr.js';
+
+const line = (text, confidence = 95) => ({ text, confidence });
+
+describe('parseOcrLines', () => {
+  it('rebuilds the same receipts as the page parser from clean lines', () => {
+    const { document } = parseHTML(readFileSync(new URL('../file.html', import.meta.url), 'utf8'));
+    const { receipts, bounties } = parseActivityRows(document);
+    const lines = receipts.map(r => line(`${r.clout > 0 ? '+' : ''}${r.clout}¢ ${r.raw} ${r.date}`));
+
+    const rows = parseOcrLines(lines);
+    // ocr can't see runs of whitespace, so compare with them collapsed
+    const flatten = (text) => text.replace(/\s+/g, ' ');
+
+    assert.deepEqual(
+      rows.map(row => row.receipt),
+      receipts.map(r => ({ ...r, date: flatten(r.date), raw: flatten(r.raw) }))
+    );
+    assert.deepEqual(ocrRowsToData(rows).bounties, bounties.map(b => ({ ...b, date: flatten(b.date) })));
+  });
+
+  it('joins wrapped lines and pulls the date out of them', () => {
+    const [row] = parseOcrLines([
+      line('+4¢ reyman used your concept Crabbing to generate a new Oct 21'),
+      line('post draft. 1:15 PM')
+    ]);
+
+    assert.deepEqual(row.receipt, {
+      user: 'reyman',
+      action: 'generate',
+      concept: 'Crabbing',
+      clout: 4,
+      date: 'Oct 21 01:15 PM',
+      raw: 'reyman used your concept Crabbing to generate a new post draft.'
+    });
+    assert.deepEqual(row.issues, []);
+  });
+
+  it('reads common misreads of the cent sign', () => {
+    const rows = parseOcrLines([
+      line('+500c You claimed the daily sign-in bonus! Oct 21 01:15 PM'),
+      line('-50e You created a new bounty! Oct 13 08:30 AM')
+    ]);
+    assert.deepEqual(rows.map(row => row.receipt.clout), [500, -50]);
+  });
+
+  it('does not start a row on a name that begins with a number', () => {
+    const rows = parseOcrLines([
+      line('+1¢ 0x12 Ongla liked your post. Oct 13 08:30 AM'),
+      line('0 cats liked your post. Oct 13 08:31 AM')
+    ]);
+    assert.equal(rows.length, 1);
+  });
+
+  it('skips page chrome above the first row', () => {
+    const rows = parseOcrLines([line('9:41'), line('Activity'), line('+1¢ Vasco liked your post. Oct 12 03:28 PM')]);
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].receipt.user, 'Vasco');
+  });
+
+  it('flags rows that need review', () => {
+    const [blurry, undated, unknown] = parseOcrLines([
+      line('+1¢ Vasco liked your post. Oct 12 03:28 PM', OCR_CONFIDENCE_THRESHOLD - 20),
+      line('+1¢ Vasco liked your post.'),
+      line('+1¢ Vasco waved at you. Oct 12 03:28 PM')
+    ]);
+
+    assert.deepEqual(blurry.issues, ['ocr confidence 60%']);
+    assert.deepEqual(undated.issues, ['no date found']);
+    assert.deepEqual(unknown.issues, ['unrecognised text']);
+  });
+});
+
+describe('mergeScreenshotRows', () => {
+  const rowsFor = (...texts) => parseOcrLines(texts.map(text => line(`+1¢ ${text} liked your post. Oct 12 03:28 PM`)));
+
+  it('drops rows repeated at the top of the next screenshot', () => {
+    const merged = mergeScreenshotRows([rowsFor('a', 'b', 'c'), rowsFor('b', 'c', 'd')]);
+    assert.deepEqual(merged.map(row => row.receipt.user), ['a', 'b', 'c', 'd']);
+  });
+
+  it('keeps everything when screenshots do not overlap', () => {
+    const merged = mergeScreenshotRows([rowsFor('a', 'b'), rowsFor('a', 'c')]);
+    assert.deepEqual(merged.map(row => row.receipt.user), ['a', 'b', 'a', 'c']);
+  });
+});
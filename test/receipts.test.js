@@ -0,0 +1,174 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseHTML } from 'linkedom';
+import { parseActivityRows } from '../src/activity.js';
+import { stampReceipt } from '../src/analytics.js';
+import { receiptFingerprint, assignReceiptIds, buryReceipt, mergeReceipts, diffReceipts, searchReceipts, sortReceipts } from '../src/receipts.js';
+
+const like = (user, date = 'Oct 21 01:15 PM') => ({
+  user,
+  action: 'like',
+  concept: null,
+  clout: 1,
+  date,
+  raw: `${user} liked your post`
+});
+
+describe('receipt identity', () => {
+  it('ignores how the date and text were spaced', () => {
+    const pasted = { ...like('alice'), date: 'Oct 21\n\t\t\t01:15 PM' };
+    assert.equal(receiptFingerprint(pasted), receiptFingerprint(like('alice')));
+  });
+
+  it('changes with what the page said', () => {
+    const base = receiptFingerprint(like('alice'));
+    assert.notEqual(receiptFingerprint(like('bob')), base);
+    assert.notEqual(receiptFingerprint(like('alice', 'Oct 21 01:16 PM')), base);
+    assert.notEqual(receiptFingerprint({ ...like('alice'), clout: 2 }), base);
+  });
+
+  it('ignores how the receipt was classified', () => {
+    const reclassified = { ...like('alice'), user: 'you', action: 'unknown', concept: 'Crabbing' };
+    assert.equal(receiptFingerprint(reclassified), receiptFingerprint(like('alice')));
+  });
+
+  it('numbers identical receipts so both keep an id', () => {
+    const [a, b] = assignReceiptIds([like('alice'), like('alice')]);
+    assert.notEqual(a.id, b.id);
+    assert.ok(a.id.endsWith('-1') && b.id.endsWith('-2'));
+  });
+
+  it('leaves receipts that already have the right id alone', () => {
+    const receipts = assignReceiptIds([like('alice')]);
+    assert.equal(assignReceiptIds(receipts)[0], receipts[0]);
+  });
+
+  it('keeps ids when a reload returns copies sorted as strings', () => {
+    const stored = assignReceiptIds(Array.from({ length: 11 }, () => like('alice')));
+    // firestore orders documents by id: -1, -10, -11, -2, ...
+    const loaded = stored.slice().sort((a, b) => a.id < b.id ? -1 : 1);
+    assert.equal(loaded[1].id.split('-')[1], '10');
+    const reloaded = assignReceiptIds(loaded);
+    assert.ok(reloaded.every((r, i) => r === loaded[i]));
+    assert.equal(new Set(reloaded.map(r => r.id)).size, 11);
+  });
+
+  it('gives ids that are valid firestore document ids', () => {
+    const [r] = assignReceiptIds([like('a/b')]);
+    assert.match(r.id, /^[a-z0-9]+-\d+$/);
+  });
+});
+
+describe('mergeReceipts', () => {
+  it('skips receipts already loaded whatever order they arrive in', () => {
+    const existing = [like('alice'), like('bob')];
+    const { receipts, added } = mergeReceipts(existing, [like('carol'), like('bob'), like('alice')]);
+    assert.deepEqual(added.map(r => r.user), ['carol']);
+    assert.equal(receipts.length, 3);
+  });
+
+  it('adds only the extra copies of a repeated receipt', () => {
+    const { added } = mergeReceipts([like('alice')], [like('alice'), like('alice')]);
+    assert.equal(added.length, 1);
+    assert.ok(added[0].id.endsWith('-2'));
+  });
+
+  it('keeps the same receipt a year later', () => {
+    const signin = { ...like('you'), action: 'daily_signin', clout: 500, raw: 'You received your daily sign-in bonus' };
+    const lastYear = stampReceipt(signin, new Date(2024, 9, 22));
+    const thisYear = stampReceipt(signin, new Date(2025, 9, 22));
+    const { receipts, added } = mergeReceipts([lastYear], [thisYear]);
+    assert.equal(added.length, 1);
+    assert.equal(receipts.length, 2);
+    assert.equal(mergeReceipts(receipts, [thisYear]).added.length, 0);
+  });
+
+  it('keeps receipts from a minute the last paste only partly covered', () => {
+    // the old per-date counter dropped carol: one receipt at 01:15 was already
+    // loaded, so the first incoming one at 01:15 was assumed to be it
+    const { added } = mergeReceipts([like('alice')], [like('carol'), like('alice')]);
+    assert.deepEqual(added.map(r => r.user), ['carol']);
+  });
+
+  it('finds nothing new in a page classified by older rules', () => {
+    const { document } = parseHTML(readFileSync(new URL('../file.html', import.meta.url), 'utf8'));
+    const { receipts } = parseActivityRows(document);
+    // the bookmarklet from before the self_create rule and friends
+    const older = receipts.map(r => ['self_create', 'concept_definition', 'concept_published', 'referral', 'challenge'].includes(r.action)
+      ? { ...r, user: 'you', action: 'unknown', concept: null }
+      : r);
+    assert.equal(mergeReceipts(older, receipts).added.length, 0);
+  });
+
+  it('doesn\'t bring back deleted or corrected receipts', () => {
+    const [alice, alice2, bob] = assignReceiptIds([like('alice'), like('alice'), like('bob')]);
+    // one alice deleted, bob's clout fixed by hand
+    const tombstones = buryReceipt(buryReceipt({}, alice2), bob);
+    const existing = [alice, { ...bob, clout: 2 }];
+    const { added } = mergeReceipts(existing, [like('alice'), like('alice'), like('bob'), like('carol')], tombstones);
+    assert.deepEqual(added.map(r => r.user), ['carol']);
+    // a page with a third alice still has one more than was ever loaded
+    assert.equal(mergeReceipts(existing, [like('alice'), like('alice'), like('alice')], tombstones).added.length, 1);
+  });
+
+  it('finds nothing new in a page pasted twice', () => {
+    const { document } = parseHTML(readFileSync(new URL('../file.html', import.meta.url), 'utf8'));
+    const { receipts } = parseActivityRows(document);
+    const first = mergeReceipts([], receipts);
+    assert.equal(first.added.length, receipts.length);
+    assert.equal(mergeReceipts(first.receipts, receipts).added.length, 0);
+  });
+});
+
+describe('diffReceipts', () => {
+  let original;
+
+  before(() => {
+    original = assignReceiptIds([like('alice'), like('bob')]);
+  });
+
+  it('reports receipts whose id went away and ones that are new', () => {
+    const after = assignReceiptIds([like('alice'), { ...like('bob'), clout: 5 }]);
+    const { added, removed } = diffReceipts(original, after);
+    assert.deepEqual(added.map(r => r.clout), [5]);
+    assert.deepEqual(removed.map(r => r.user), ['bob']);
+  });
+
+  it('reports receipts that kept their id but were reclassified', () => {
+    const after = assignReceiptIds([like('alice'), { ...like('bob'), action: 'tip' }]);
+    const { added, changed, removed } = diffReceipts(original, after);
+    assert.deepEqual(changed.map(r => r.action), ['tip']);
+    assert.equal(changed[0].id, original[1].id);
+    assert.deepEqual([added, removed], [[], []]);
+  });
+
+  it('is empty when nothing changed', () => {
+    assert.deepEqual(diffReceipts(original, assignReceiptIds([like('bob'), like('alice')])), { added: [], changed: [], removed: [] });
+  });
+});
+
+describe('searching and sorting receipts', () => {
+  const NOW = new Date(2025, 9, 22, 12, 0);
+  const receipts = [
+    { ...like('alice', 'Oct 21 01:15 PM'), clout: 1 },
+    { ...like('bob', 'Oct 20 09:00 AM'), action: 'tip', clout: 5, raw: 'You received a tip from bob for your Crabbing post' },
+    { ...like('carol', 'Oct 21 08:00 AM'), action: 'create', concept: 'Crabbing', clout: 3 },
+    { ...like('dave', 'sometime'), clout: 2 }
+  ];
+
+  it('combines the filters', () => {
+    assert.deepEqual(searchReceipts(receipts, { action: 'like' }).map(r => r.user), ['alice', 'dave']);
+    assert.deepEqual(searchReceipts(receipts, { concept: 'Crabbing' }).map(r => r.user), ['carol']);
+    assert.deepEqual(searchReceipts(receipts, { text: 'crabbing' }).map(r => r.user), ['bob']);
+    assert.deepEqual(searchReceipts(receipts, { user: 'bob', action: 'like' }), []);
+    assert.equal(searchReceipts(receipts, {}).length, receipts.length);
+  });
+
+  it('sorts by time and by any field, unreadable dates last', () => {
+    assert.deepEqual(sortReceipts(receipts, 'time', 'desc', NOW).map(r => r.user), ['alice', 'carol', 'bob', 'dave']);
+    assert.deepEqual(sortReceipts(receipts, 'time', 'asc', NOW).map(r => r.user), ['bob', 'carol', 'alice', 'dave']);
+    assert.deepEqual(sortReceipts(receipts, 'clout', 'desc', NOW).map(r => r.clout), [5, 3, 2, 1]);
+    assert.deepEqual(sortReceipts(receipts, 'concept', 'asc', NOW).map(r => r.user).slice(0, 1), ['carol']);
+  });
+});